@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Audit log CLI: search, usage stats and replay of recorded queries.
+ *
+ *   npm run audit -- search [--user u] [--role r] [--transport t] [--since 7d] [--until ISO]
+ *                           [--table users] [--errors] [--status s] [--text words] [--limit 50] [--json]
+ *   npm run audit -- stats  [same filters] [--json]
+ *   npm run audit -- replay <id> [--sql] [--role r]
+ *
+ * `replay` asks the recorded question again (or, with --sql, runs the exact SQL that ran)
+ * against the current database and compares the result with the original one.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { userInfo } from 'os';
+import { config as loadEnv } from 'dotenv';
+import { readAuditRecords, filterAuditRecords, summarizeAuditRecords, tablesOf } from './utils/auditQuery.js';
+import { fingerprintRows } from './utils/auditLogger.js';
+
+loadEnv({ quiet: true });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const config = JSON.parse(readFileSync(join(__dirname, 'config.json'), 'utf8'));
+
+const FLAGS = new Set(['errors', 'json', 'sql']);
+
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (FLAGS.has(name)) {
+      options[name] = true;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for --${name}`);
+    }
+  }
+  return { command: positional[0], args: positional.slice(1), options };
+};
+
+const showHelp = () => {
+  console.log('📖 Audit log CLI');
+  console.log('================');
+  console.log('• search [filters] [--limit n] [--json]   List matching audit records, newest first');
+  console.log('• stats [filters] [--json]                Usage per user and per table');
+  console.log('• replay <id> [--sql] [--role r]          Re-run a recorded question (or its exact SQL) and compare');
+  console.log('\nFilters: --user, --role, --transport, --since, --until (ISO date or 30m/24h/7d), --table, --errors, --status, --text');
+};
+
+const printRecord = (record) => {
+  const user = record.caller?.user ?? '-';
+  const rows = record.row_count ?? '-';
+  const latency = record.latency_ms?.total ?? '-';
+  console.log(`${record.ts}  ${String(record.id ?? '').slice(0, 8)}  ${String(record.status).padEnd(19)} ${String(record.role ?? '-').padEnd(8)} user=${user} (${record.caller?.transport ?? '-'})  rows=${rows}  ${latency}ms`);
+  console.log(`   ❓ ${record.nl_query ?? '-'}`);
+  if (record.sql || record.generated_sql) {
+    console.log(`   🔧 ${record.sql || record.generated_sql}`);
+  }
+  const tables = tablesOf(record);
+  if (tables.length) {
+    console.log(`   📋 tables: ${tables.join(', ')}`);
+  }
+  if (record.error) {
+    console.log(`   ❌ ${record.error.message}`);
+  }
+};
+
+const printUsage = (title, rows, showUsers) => {
+  console.log(`\n${title}`);
+  if (rows.length === 0) {
+    console.log('   (none)');
+    return;
+  }
+  rows.forEach(row => {
+    const users = showUsers ? `  users=${row.users}` : '';
+    console.log(`   ${row.key.padEnd(24)} queries=${row.queries}  errors=${row.errors}  rows=${row.rows}  avg=${row.avg_latency_ms}ms${users}`);
+  });
+};
+
+const search = async (options) => {
+  const records = filterAuditRecords(await readAuditRecords(config.audit), options);
+  const limit = Number(options.limit || 50);
+  const newestFirst = records.reverse().slice(0, limit);
+
+  if (options.json) {
+    newestFirst.forEach(record => console.log(JSON.stringify(record)));
+    return;
+  }
+  console.log(`🔍 ${records.length} matching record(s)${records.length > limit ? `, showing the newest ${limit}` : ''}\n`);
+  newestFirst.forEach(printRecord);
+};
+
+const stats = async (options) => {
+  const summary = summarizeAuditRecords(filterAuditRecords(await readAuditRecords(config.audit), options));
+
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+  console.log(`📊 ${summary.total} record(s), ${summary.errors} error(s)`);
+  printUsage('👤 Per user:', summary.byUser, false);
+  printUsage('📋 Per table:', summary.byTable, true);
+};
+
+// Same setup as index.js: direct PostgreSQL when configured, Supabase otherwise
+const connectDatabase = async () => {
+  const { initializeDatabase, getDirectConnectionConfig } = await import('./utils/dbHelpers.js');
+  if (!getDirectConnectionConfig(config)) {
+    const { initializeSupabaseForMCP } = await import('./utils/supabaseClient.js');
+    await initializeSupabaseForMCP(config);
+  }
+  await initializeDatabase(config);
+};
+
+const replaySql = async (record, role) => {
+  const { getDbSchema, executeDbQuery } = await import('./utils/dbHelpers.js');
+  const { resolveAccessPolicy } = await import('./utils/accessPolicy.js');
+  const { maskResultsForRole } = await import('./controllers/dynamicToolHandler.js');
+
+  if (!record.sql) {
+    throw new Error('This record has no SQL that ran; replay the question instead (without --sql).');
+  }
+  const schema = await getDbSchema();
+  // The cost guard still applies; asking for the replay confirms an expensive query (action 'confirm')
+  const results = await executeDbQuery(record.sql, {
+    accessPolicy: resolveAccessPolicy(config, role),
+    schema,
+    costGuard: { confirmed: true }
+  });
+  // Compare what the caller would get: the same masking as the original response
+  return { sql: record.sql, rows: maskResultsForRole(results, config, role).rows };
+};
+
+const replayQuestion = async (record, role) => {
+  const { executeNaturalLanguageQueryTool } = await import('./controllers/dynamicToolHandler.js');
+
+  // The recorded question already includes any clarifications; asking for a replay
+  // confirms an expensive query (costGuard.action 'confirm')
+  const result = await executeNaturalLanguageQueryTool(
+    { nl_query: record.question || record.nl_query, clarifications: {}, confirm_cost: true },
+    config,
+    { role, caller: { transport: 'replay', user: userInfo().username, replay_of: record.id } }
+  );
+  return { sql: result.sql, rows: result.data };
+};
+
+const replay = async (id, options) => {
+  if (!id) throw new Error('Usage: replay <id> [--sql] [--role r]');
+  const matches = (await readAuditRecords(config.audit)).filter(record => String(record.id ?? '').startsWith(id));
+  if (matches.length === 0) throw new Error(`No audit record with id ${id}`);
+  if (matches.length > 1) throw new Error(`Id ${id} is ambiguous (${matches.length} records); use more characters.`);
+
+  const [record] = matches;
+  const role = options.role || record.role || 'guest';
+  printRecord(record);
+  console.log(`\n🔄 Replaying ${options.sql ? 'the recorded SQL' : 'the question'} as role ${role}...\n`);
+
+  await connectDatabase();
+  const { sql, rows } = options.sql ? await replaySql(record, role) : await replayQuestion(record, role);
+  const rowList = Array.isArray(rows) ? rows : [rows];
+
+  const checks = [
+    ['SQL', record.sql ?? '-', sql ?? '-'],
+    ['Rows', record.row_count ?? '-', rowList.length],
+    ['Columns', (record.columns || []).join(', ') || '-', [...new Set(rowList.flatMap(row => Object.keys(row || {})))].join(', ') || '-'],
+    ['Result fingerprint', record.result_hash ?? '-', fingerprintRows(rows)]
+  ];
+  let differences = 0;
+  checks.forEach(([label, before, after]) => {
+    const same = String(before) === String(after);
+    if (!same && before !== '-') differences += 1;
+    console.log(`${same ? '✅' : '⚠️ '} ${label}`);
+    if (!same) {
+      console.log(`     original: ${before}`);
+      console.log(`     replay:   ${after}`);
+    }
+  });
+  console.log(differences ? `\n⚠️  ${differences} difference(s) from the original result` : '\n✅ Same result as the original');
+  return differences ? 1 : 0;
+};
+
+const main = async ({ command, args, options }) => {
+  switch (command) {
+    case 'search': await search(options); return 0;
+    case 'stats': await stats(options); return 0;
+    case 'replay': return replay(args[0], options);
+    default: showHelp(); return command ? 2 : 0;
+  }
+};
+
+let command;
+try {
+  const parsed = parseArgs(process.argv.slice(2));
+  command = parsed.command;
+  process.exitCode = await main(parsed);
+} catch (error) {
+  console.error('❌', error.message);
+  process.exitCode = 2;
+}
+if (command === 'replay') {
+  // Database pools keep the event loop alive after a replay
+  process.exit();
+}
@@ -1,8 +1,23 @@
 import { z } from 'zod';
-import { getDbSchema, executeDbQuery, getActiveDbType } from '../utils/dbHelpers.js';
+import { getDbSchema, getActiveDbType, executeDbQuery, explainDbQuery, validateDbQuery } from '../utils/dbHelpers.js';
 import { callAiApi } from '../utils/aiHelpers.js';
 import { generateQueryPrompt, generateResultSummaryPrompt } from '../utils/aiPrompts.js';
-import { formatResultsSummary } from '../utils/dataFormatter.js';
+import { formatResultsSummary, formatResults, maskSensitiveFields, maskFieldsForOutput, resolveMaskFields, resolveHashSalt, OUTPUT_FORMATS } from '../utils/dataFormatter.js';
+import { selectRelevantSchema } from '../utils/schemaLinker.js';
+import { resolveAccessPolicy, filterSchemaForPolicy } from '../utils/accessPolicy.js';
+import { executeWithRepair } from '../utils/sqlRepair.js';
+import { loadSessionHistory, recordSessionTurn } from '../utils/sessionStore.js';
+import { detectAmbiguity, toElicitationRequest, applyClarifications } from '../utils/clarification.js';
+import { detectPiiColumns } from '../utils/piiDetector.js';
+import { resolveOutputColumns } from '../utils/sqlValidator.js';
+import { computeResultStats } from '../utils/resultStats.js';
+import { factCheckSummary } from '../utils/summaryFactCheck.js';
+import { generateChartSpec } from '../utils/chartSpec.js';
+import { resolveCostGuardOptions, estimateQueryCost } from '../utils/costGuard.js';
+import { startAuditTrail, fingerprintRows } from '../utils/auditLogger.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Tool');
 
 export const responseSchema = z.object({
   content: z.array(
@@ -13,28 +28,313 @@ export const responseSchema = z.object({
   )
 });
 
-export const executeNaturalLanguageQueryTool = async (params, appConfig) => {
-  const { nl_query, language = 'English', tone = 'neutral' } = params;
+/**
+ * What the tool does with the generated SQL:
+ *  - generate: validate it (repairing rejected SQL) and return it without touching the database
+ *  - explain:  also return its EXPLAIN (FORMAT JSON) plan; the query is planned, not run
+ *  - execute:  run it and return the results (default), after the cost guard (config.costGuard)
+ */
+export const QUERY_MODES = ['generate', 'explain', 'execute'];
+
+const RUNNERS = {
+  generate: validateDbQuery,
+  explain: explainDbQuery
+};
 
-  const schema = await getDbSchema();
-  const dbType = getActiveDbType();
-  const schemaString = JSON.stringify(schema, null, 2);
+// language and tone are interpolated into the LLM prompts: a few words, not instructions.
+// The pattern has no flags since it is also advertised in the MCP inputSchema.
+const promptWord = (example) => z.string().max(40)
+  .regex(/^[^\u0000-\u001f"`<>{}[\]\\/.,:;!?=#$%^*&|~+@]+$/, 'Must be a few words without punctuation')
+  .describe(example);
 
-  const prompt = generateQueryPrompt(schemaString, dbType, nl_query, { language, tone });
-  const generatedQuery = await callAiApi(prompt, appConfig);
-  const results = await executeDbQuery(generatedQuery);
+/**
+ * Parameters of the dynamicQuery tool, shared by every transport: MCP tools/call,
+ * JSON-RPC POST /tool and POST /api/query validate with it, and the MCP inputSchema
+ * is generated from it (controllers/mcpServer.js).
+ */
+export const dynamicQueryParamsSchema = z.object({
+  nl_query: z.string().min(1).refine(s => s.trim().length > 0, 'Must not be empty')
+    .describe('The natural language question to ask.'),
+  language: promptWord("Language for the response (e.g., 'English').").optional(),
+  tone: promptWord("Tone of the summary (e.g., 'formal').").optional(),
+  session_id: z.string().max(128).optional()
+    .describe("Conversation id. Reuse it so follow-up questions (e.g. 'now only for last month') refine the previous query."),
+  mode: z.enum(QUERY_MODES).optional()
+    .describe("'execute' (default) runs the query; 'generate' returns only the validated SQL; 'explain' returns the SQL and its EXPLAIN plan. Nothing is run in the last two."),
+  format: z.enum(OUTPUT_FORMATS).optional()
+    .describe("Also return the rows as 'markdown' (table), 'csv', 'jsonl' (JSON Lines), 'columnar' (column-oriented JSON) or 'text' in `formatted`."),
+  chart: z.boolean().optional().describe('Also return a Vega-Lite chart spec chosen from the shape of the result.'),
+  confirm_cost: z.string().regex(/^[0-9a-f]{64}$/, 'Must be the sql_hash of a needs_confirmation response').optional()
+    .describe('The sql_hash of a needs_confirmation response: runs that exact query even though it exceeds the cost limits.'),
+  clarifications: z.record(z.string().max(64), z.string().max(500)).optional()
+    .describe('Answers to a previous needs_clarification response, keyed by dimension name (e.g. { "metric": "total revenue" }).')
+});
 
-  const summaryPrompt = generateResultSummaryPrompt(nl_query, results, { language, tone });
-  const aiSummary = await callAiApi(summaryPrompt, appConfig);
+/**
+ * One-line message for invalid tool parameters.
+ * @param {import('zod').ZodError} error - From dynamicQueryParamsSchema.safeParse
+ * @param {object} fieldNames - Parameter names as the transport calls them (e.g. { nl_query: 'query' })
+ */
+export const describeParamsError = (error, fieldNames = {}) => error.issues
+  .map(({ path, message }) => {
+    const field = path.length ? [fieldNames[path[0]] ?? path[0], ...path.slice(1)].join('.') : 'params';
+    return `"${field}": ${message}`;
+  })
+  .join('; ');
 
-  const summary = formatResultsSummary(results, {
-    maskFields: appConfig.maskFields,
-    role: appConfig.role || 'guest'
+/**
+ * Asks the user to resolve an ambiguous question through MCP elicitation.
+ * Returns their answers, {} when they decline (the LLM then picks the most
+ * likely reading), and throws when they cancel.
+ */
+const elicitClarifications = async (elicit, clarification) => {
+  const response = await elicit(toElicitationRequest(clarification));
+  if (response.action === 'accept') return response.content || {};
+  if (response.action === 'decline') return {};
+  throw new Error('Query cancelled while asking for clarification.');
+};
+
+/**
+ * Masks result rows for a role. Rows leave the server masked: configured fields
+ * (config.maskFields + config.redactFieldsForRoles[role]) plus columns detected as PII
+ * for non-privileged roles (config.piiDetection). With the query, both also follow columns
+ * under aliases and values computed from them, by the table columns they are read from.
+ * @param {string} sql - The query that produced the rows
+ * @returns {{ rows: any, autoMasked: Array<object>, maskFields: object }}
+ */
+export const maskResultsForRole = (results, appConfig, role, sql) => {
+  const configured = resolveMaskFields(appConfig, role);
+  const columns = Array.isArray(results) ? [...new Set(results.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))] : [];
+  const outputColumns = sql ? resolveOutputColumns(sql) : [];
+  const maskFields = { ...configured, ...maskFieldsForOutput(configured, outputColumns, columns) };
+  const maskOptions = { hashSalt: resolveHashSalt(appConfig) };
+  const { fields: piiFields, report: autoMasked } = detectPiiColumns(results, {
+    config: appConfig.piiDetection,
+    role,
+    exclude: Object.keys(maskFields),
+    canHash: Boolean(maskOptions.hashSalt),
+    outputColumns
   });
+  return { rows: maskSensitiveFields(results, { ...piiFields, ...maskFields }, maskOptions), autoMasked, maskFields };
+};
+
+/**
+ * Whether the generated SQL passed validation, needed repairs or was rejected,
+ * from the attempts of executeWithRepair.
+ */
+const validationOutcome = (attempts = [], error) => {
+  if (error?.code === 'SQL_REJECTED') return 'rejected';
+  // Stopped by the cost guard: the SQL itself was valid
+  if (error && error.code !== 'COST_LIMIT_EXCEEDED' && error.code !== 'QUERY_CANCELLED') return 'failed';
+  return attempts.length > 1 ? 'repaired' : 'passed';
+};
+
+/**
+ * Runs the NL → SQL → results → summary pipeline.
+ * Every call, successful or not, is recorded in the audit log (config.audit).
+ * @param {object} params - { nl_query, language, tone, session_id, clarifications, mode, format, chart, confirm_cost }
+ * @param {object} appConfig - Parsed config.json
+ * @param {object} context - { sampler, elicit } optional MCP client capabilities for LLM calls
+ *   and clarifying questions; { role } overrides config.role (HTTP callers);
+ *   { caller } identifies who asked, for the audit log ({ transport, user, ... })
+ * @returns {Promise<object>} The query result; { mode, sql, plan? } without results in the
+ *   generate and explain modes; or { needs_clarification } when the question is
+ *   ambiguous and cannot be clarified interactively; answer it with `clarifications`;
+ *   or { needs_confirmation } when the query exceeds the cost limits; repeat it with its
+ *   `sql_hash` in `confirm_cost`, which only runs that exact query
+ */
+export const executeNaturalLanguageQueryTool = async (params, appConfig, context = {}) => {
+  const {
+    nl_query, language = 'English', tone = 'neutral', session_id, clarifications, mode = 'execute', format, chart = false,
+    confirm_cost
+  } = params;
+  const { sampler, elicit, role = appConfig.role || 'guest', caller = { transport: 'direct' } } = context;
+
+  const audit = startAuditTrail({
+    caller,
+    role,
+    nl_query,
+    mode,
+    ...(session_id ? { session_id } : {}),
+    llm: sampler ? 'client-sampling' : 'server'
+  }, appConfig.audit);
+
+  try {
+    const accessPolicy = resolveAccessPolicy(appConfig, role);
+
+    // The prompt only sees what the role may read; the validator enforces the same policy
+    const { schema, dbType, history, schemaTables, ddl } = await audit.time('schema', async () => {
+      const schema = await getDbSchema();
+      const visibleSchema = filterSchemaForPolicy(schema, accessPolicy);
+
+      // Follow-ups ("break that down by city") need the tables of the earlier questions too
+      const history = await loadSessionHistory(session_id, appConfig, { role, caller });
+      const linkingText = [...history.map(turn => turn.question), nl_query].join('\n');
+      const { tables: schemaTables, ddl } = selectRelevantSchema(visibleSchema, linkingText, appConfig.schemaLinking);
+      return { schema, dbType: getActiveDbType(), history, schemaTables, ddl };
+    });
+    audit.set({ schema_tables: schemaTables });
+
+    // Ambiguous questions ("top customers") are clarified before any SQL is generated:
+    // interactively when the MCP client supports elicitation, otherwise by the caller's next request
+    let answers = clarifications;
+    if (!answers) {
+      const clarification = await audit.time('clarification', () =>
+        detectAmbiguity({ nlQuery: nl_query, ddl, history, appConfig, sampler }));
+      if (clarification && elicit) {
+        answers = await audit.time('elicitation', () => elicitClarifications(elicit, clarification));
+      } else if (clarification) {
+        await audit.finish('needs_clarification');
+        return {
+          needs_clarification: clarification,
+          nl_query,
+          ...(session_id ? { session_id } : {})
+        };
+      }
+    }
+    const question = applyClarifications(nl_query, answers);
+    audit.set({ question });
+
+    const prompt = generateQueryPrompt(ddl, dbType, question, { language, tone, history });
+    const generatedQuery = await audit.time('sql_generation', () => callAiApi(prompt, appConfig, { task: 'sql', sampler }));
+    audit.set({ generated_sql: generatedQuery });
+
+    // executeDbQuery plans queries with EXPLAIN first and stops them when they exceed the cost limits
+    const costGuard = resolveCostGuardOptions(appConfig);
+    let costCheck = null;
+    const runQuery = (sqlToRun, queryOptions) => executeDbQuery(sqlToRun, {
+      ...queryOptions,
+      costGuard: { options: costGuard, confirmed: confirm_cost, elicit, onCheck: (check) => { costCheck = check; } }
+    });
+
+    // Failed queries are sent back to the LLM with the error (bounded by config.sqlRepair).
+    // In the generate and explain modes only validation and planning errors can trigger a repair.
+    let execution;
+    try {
+      execution = await audit.time('execution', async () => {
+        try {
+          return await executeWithRepair(generatedQuery, {
+            nlQuery: question, ddl, dbType, appConfig, sampler, accessPolicy, schema, run: RUNNERS[mode] || runQuery
+          });
+        } catch (error) {
+          audit.set({
+            validation: validationOutcome(error.attempts, error),
+            attempts: error.attempts,
+            ...(error.estimate ? { cost_estimate: error.estimate } : {})
+          });
+          throw error;
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'COST_LIMIT_EXCEEDED' || error.action !== 'confirm') throw error;
+
+      // Callers without elicitation confirm by repeating the request with the sql_hash in confirm_cost
+      await audit.finish('needs_confirmation');
+      return {
+        needs_confirmation: {
+          message: error.message, reasons: error.reasons, cost_estimate: error.estimate, sql_hash: error.sqlHash
+        },
+        sql: error.attempts.at(-1).sql,
+        nl_query,
+        ...(answers && Object.keys(answers).length ? { clarifications: answers } : {}),
+        ...(session_id ? { session_id } : {})
+      };
+    }
+    const { results, sql, attempts } = execution;
+    if (mode === 'explain') {
+      costCheck = { estimate: estimateQueryCost(results, costGuard) };
+    }
+    // cost_estimate is null (with cost_check_skipped) when the query could not be planned
+    const costReport = costCheck
+      ? { cost_estimate: costCheck.estimate, ...(costCheck.skipped ? { cost_check_skipped: costCheck.skipped } : {}) }
+      : {};
+    audit.set({
+      sql,
+      validation: validationOutcome(attempts),
+      attempts: attempts.map(({ attempt, sql: attemptSql, status, error }) => ({ attempt, sql: attemptSql, status, ...(error ? { error } : {}) })),
+      ...costReport
+    });
+
+    if (mode !== 'execute') {
+      await audit.finish('ok');
+      return {
+        mode,
+        sql, // validated, never run
+        ...(mode === 'explain' ? { plan: results, ...costReport } : {}), // EXPLAIN (FORMAT JSON) output
+        schema_tables: schemaTables,
+        attempts,
+        ...(answers && Object.keys(answers).length ? { clarifications: answers } : {}),
+        ...(session_id ? { session_id } : {})
+      };
+    }
+
+    audit.set({ row_count: Array.isArray(results) ? results.length : 0 });
+    await recordSessionTurn(session_id, { question, sql, results }, appConfig, { role, caller });
+
+    const { maskedResults, autoMasked, maskFields, promptRows, stats } = await audit.time('masking', async () => {
+      const { rows: maskedResults, autoMasked, maskFields } = maskResultsForRole(results, appConfig, role, sql);
+
+      // The summarizer is a third-party API: it gets PII masked even for privileged roles,
+      // plus statistics over the full result so it does not have to count sample rows
+      const { rows: promptRows } = maskResultsForRole(results, {
+        ...appConfig,
+        piiDetection: { ...appConfig.piiDetection, privilegedRoles: [] }
+      }, role, sql);
+      return { maskedResults, autoMasked, maskFields, promptRows, stats: computeResultStats(promptRows) };
+    });
+    audit.set({
+      masked_fields: [...new Set([...Object.keys(maskFields), ...autoMasked.map(field => field.column)])],
+      columns: Object.keys(stats.columns),
+      // Fingerprint of the rows as returned, so `npm run audit -- replay` can compare results
+      result_hash: fingerprintRows(maskedResults)
+    });
+
+    let aiSummary = 'Summary not available.';
+    let summaryWarnings = [];
+    await audit.time('summary', async () => {
+      try {
+        const summaryPrompt = generateResultSummaryPrompt(question, promptRows, { language, tone, stats });
+        aiSummary = await callAiApi(summaryPrompt, appConfig, { task: 'summary', sampler });
+
+        // Numbers in the summary must follow from the full result (config.summaryFactCheck)
+        const checked = await factCheckSummary(aiSummary, {
+          rows: promptRows, stats, question, language, tone, appConfig, sampler
+        });
+        aiSummary = checked.summary;
+        summaryWarnings = checked.warnings;
+      } catch (err) {
+        log.warn('AI summary generation failed', { error: err.message });
+        audit.set({ summary_error: err.message });
+      }
+    });
+    audit.set({ summary_warnings: summaryWarnings.length });
+
+    const summary = formatResultsSummary(maskedResults, { role });
+    const formatted = format ? formatResults(maskedResults, format) : undefined;
+    // Charts are built from the rows the caller gets, so they never show unmasked values
+    const chartSpec = chart
+      ? await audit.time('chart', () => generateChartSpec({ rows: maskedResults, question, appConfig, sampler }))
+      : undefined;
+
+    await audit.finish('ok');
 
-  return {
-    data: results, // actual array of records
-    masked_summary: summary, // string
-    ai_summary: aiSummary // string
-  };
+    return {
+      data: maskedResults, // actual array of records, masked
+      sql, // the SQL that ran (after any repairs)
+      ...costReport, // planner estimate checked by the cost guard
+      masked_summary: summary, // string
+      ...(format ? { format, formatted } : {}), // rows as markdown, csv, jsonl or columnar JSON
+      ...(chart ? { chart: chartSpec } : {}), // Vega-Lite spec, or null when the result cannot be charted
+      ai_summary: aiSummary, // string
+      summary_warnings: summaryWarnings, // numbers in ai_summary the results do not support
+      schema_tables: schemaTables, // tables shown to the AI
+      attempts, // every SQL tried, with the error that triggered a repair
+      auto_masked: autoMasked, // columns masked because they were detected as PII
+      ...(answers && Object.keys(answers).length ? { clarifications: answers } : {}),
+      ...(session_id ? { session_id } : {})
+    };
+  } catch (error) {
+    await audit.finish('error', error);
+    throw error;
+  }
 };
@@ -0,0 +1,114 @@
+import { Server as McpServer } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema, CallToolRequestSchema, SetLevelRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { executeNaturalLanguageQueryTool, dynamicQueryParamsSchema, describeParamsError } from './dynamicToolHandler.js';
+import { createSamplingProvider } from '../utils/llmProviders.js';
+import { logAudit } from '../utils/auditLogger.js';
+import { createLogger, withLogSink, LOG_LEVELS } from '../utils/logger.js';
+
+const log = createLogger('MCP');
+
+// ---- MCP Tool Definition ----
+// Advertised via tools/list. `inputSchema` is plain JSON Schema as required by the MCP spec,
+// generated from the zod schema every transport validates with.
+const { $schema, ...inputSchema } = zodToJsonSchema(dynamicQueryParamsSchema, { $refStrategy: 'none' });
+
+export const dynamicQueryToolDefinition = {
+  name: 'dynamicQuery',
+  description: 'Ask any question in natural language to explore the database. Returns the matching records, the SQL that ran, a masked text summary and an AI summary (or only the SQL, or its query plan, with mode generate or explain), or needs_clarification with options when the question is ambiguous, or needs_confirmation when the query exceeds the cost limits.',
+  inputSchema
+};
+
+/**
+ * Wraps a tool result into an MCP CallToolResult: a text block for clients
+ * that only render content, plus the same object as structuredContent.
+ */
+const toCallToolResult = (result) => ({
+  content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+  structuredContent: result
+});
+
+/**
+ * Creates an MCP server with the dynamicQuery tool registered.
+ * Every transport needs its own server instance, so HTTP mode calls this once per session.
+ */
+export const createMcpServer = (appConfig) => {
+  const mcpServer = new McpServer({
+    name: 'data-query-mcp-server',
+    version: '1.0.0',
+    description: 'Natural language AI data query MCP server'
+  }, {
+    capabilities: { tools: {}, logging: {} }
+  });
+
+  // Log records are forwarded as notifications/message once the client picks a level (logging/setLevel)
+  let clientLogLevel = null;
+  mcpServer.setRequestHandler(SetLevelRequestSchema, async (req) => {
+    clientLogLevel = req.params.level;
+    return {};
+  });
+  const forwardLog = ({ ts, level, component, msg, ...data }) => {
+    if (!clientLogLevel || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(clientLogLevel)) return;
+    mcpServer.sendLoggingMessage({ level, logger: component, data: { message: msg, ts, ...data } }).catch(() => {});
+  };
+
+  mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
+    log.debug('Handling tools/list request');
+    return { tools: [dynamicQueryToolDefinition] };
+  });
+
+  const handleCallTool = async (req, extra = {}) => {
+    const { name, arguments: args = {} } = req.params;
+    log.info(`Handling tools/call for '${name}'`, { arguments: args });
+
+    // Who is asking, for the audit log: stdio has a single client, HTTP sessions may carry auth
+    const caller = {
+      transport: extra.sessionId ? 'mcp-http' : 'mcp-stdio',
+      user: extra.authInfo?.clientId ?? null,
+      client: mcpServer.getClientVersion()?.name,
+      ...(extra.sessionId ? { mcp_session: extra.sessionId } : {})
+    };
+
+    const parsed = name === dynamicQueryToolDefinition.name ? dynamicQueryParamsSchema.safeParse(args) : null;
+    const argsError = parsed
+      ? (parsed.success ? null : `Invalid arguments: ${describeParamsError(parsed.error)}`)
+      : `Unknown tool: ${name}`;
+    if (argsError) {
+      await logAudit({ caller, tool: name, nl_query: args.nl_query, status: 'invalid_params', error: { message: argsError } }, appConfig.audit);
+      return {
+        content: [{ type: 'text', text: argsError }],
+        isError: true
+      };
+    }
+
+    // Let the client's LLM generate SQL and summaries when it supports sampling,
+    // and ask the user directly about ambiguous questions when it supports elicitation
+    const clientCapabilities = mcpServer.getClientCapabilities();
+    const sampler = clientCapabilities?.sampling
+      ? createSamplingProvider(mcpServer)
+      : undefined;
+    const elicit = clientCapabilities?.elicitation
+      ? (request) => mcpServer.elicitInput(request)
+      : undefined;
+
+    try {
+      const result = await executeNaturalLanguageQueryTool(parsed.data, appConfig, { sampler, elicit, caller });
+      return toCallToolResult(result);
+    } catch (err) {
+      log.error('dynamicQuery error', { error: err.message });
+      return {
+        content: [{ type: 'text', text: `dynamicQuery failed: ${err.message}` }],
+        // Rejected SQL carries structured reasons (utils/sqlValidator.js, utils/costGuard.js), failed repairs their attempts
+        ...(err.reasons || err.attempts
+          ? { structuredContent: { error: err.message, reasons: err.reasons, attempts: err.attempts, cost_estimate: err.estimate } }
+          : {}),
+        isError: true
+      };
+    }
+  };
+
+  // Logs written while a call runs go to this client only, not to other HTTP sessions
+  mcpServer.setRequestHandler(CallToolRequestSchema, (req, extra) => withLogSink(forwardLog, () => handleCallTool(req, extra)));
+
+  return mcpServer;
+};
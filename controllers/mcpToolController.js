@@ -1,7 +1,21 @@
 import { z } from 'zod';
 import {
-  executeNaturalLanguageQueryTool
+  executeNaturalLanguageQueryTool,
+  dynamicQueryParamsSchema
 } from './dynamicToolHandler.js';
+import { OUTPUT_FORMATS } from '../utils/dataFormatter.js';
+import { CHART_TYPES } from '../utils/chartSpec.js';
+import { logAudit, describeHttpCaller } from '../utils/auditLogger.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('MCP Tool');
+
+// Planner estimate of a query (utils/costGuard.js)
+const costEstimateSchema = z.object({
+  total_cost: z.number(),
+  plan_rows: z.number(),
+  exceeds_limits: z.boolean()
+});
 
 export const getToolDefinitions = () => ({
   tools: [
@@ -9,16 +23,80 @@ export const getToolDefinitions = () => ({
       name: 'dynamicQuery',
       method: 'dynamicQuery',
       description: 'Ask any question in natural language to explore the database',
-      parameters: z.object({
-        nl_query: z.string(),
-        language: z.string().optional(),
-        tone: z.string().optional()
-      }),
-      response: z.object({
+      parameters: dynamicQueryParamsSchema,
+      response: z.union([z.object({
         data: z.array(z.record(z.any())),
+        sql: z.string(),
+        cost_estimate: costEstimateSchema.nullable().optional(),
+        cost_check_skipped: z.string().optional(),
         masked_summary: z.string(),
-        ai_summary: z.string()
-      })
+        format: z.enum(OUTPUT_FORMATS).optional(),
+        formatted: z.union([z.string(), z.record(z.any())]).optional(),
+        chart: z.object({
+          type: z.enum(CHART_TYPES),
+          chosen_by: z.enum(['llm', 'shape']),
+          spec: z.record(z.any()),
+          rejected_suggestion: z.object({ suggestion: z.record(z.any()), reasons: z.array(z.string()) }).optional()
+        }).nullable().optional(),
+        ai_summary: z.string(),
+        summary_warnings: z.array(z.object({ text: z.string(), message: z.string() })),
+        schema_tables: z.array(z.string()),
+        attempts: z.array(z.object({
+          attempt: z.number(),
+          sql: z.string(),
+          status: z.enum(['ok', 'failed']),
+          error: z.string().optional(),
+          rows: z.number().optional()
+        })),
+        auto_masked: z.array(z.object({
+          column: z.string(),
+          type: z.string(),
+          strategy: z.string(),
+          detectedBy: z.enum(['name', 'values', 'override'])
+        })),
+        clarifications: z.record(z.string()).optional(),
+        session_id: z.string().optional()
+      }), z.object({
+        // mode 'generate' or 'explain': the validated SQL, not run
+        mode: z.enum(['generate', 'explain']),
+        sql: z.string(),
+        plan: z.record(z.any()).optional(),
+        cost_estimate: costEstimateSchema.optional(),
+        schema_tables: z.array(z.string()),
+        attempts: z.array(z.object({
+          attempt: z.number(),
+          sql: z.string(),
+          status: z.enum(['ok', 'failed']),
+          error: z.string().optional(),
+          rows: z.number().optional()
+        })),
+        clarifications: z.record(z.string()).optional(),
+        session_id: z.string().optional()
+      }), z.object({
+        // Over the cost limits (costGuard.action 'confirm'): repeat with confirm_cost: sql_hash
+        needs_confirmation: z.object({
+          message: z.string(),
+          reasons: z.array(z.object({ code: z.string(), message: z.string() })),
+          cost_estimate: costEstimateSchema,
+          sql_hash: z.string()
+        }),
+        sql: z.string(),
+        nl_query: z.string(),
+        clarifications: z.record(z.string()).optional(),
+        session_id: z.string().optional()
+      }), z.object({
+        // Ambiguous question: answer with `clarifications` in the next call
+        needs_clarification: z.object({
+          question: z.string(),
+          dimensions: z.array(z.object({
+            name: z.string(),
+            question: z.string(),
+            options: z.array(z.string())
+          }))
+        }),
+        nl_query: z.string(),
+        session_id: z.string().optional()
+      })])
     }
   ]
 });
@@ -26,10 +104,91 @@ export const getToolDefinitions = () => ({
 export const toolRegistry = {
   dynamicQuery: {
     handler: executeNaturalLanguageQueryTool,
-    schema: z.object({
-      nl_query: z.string(),
-      language: z.string().optional(),
-      tone: z.string().optional()
-    })
+    schema: dynamicQueryParamsSchema
+  }
+};
+
+// JSON-RPC 2.0 error codes
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  SERVER_ERROR: -32000
+};
+
+const rpcError = (id, code, message, data) => ({
+  jsonrpc: '2.0',
+  id: id ?? null,
+  error: data === undefined ? { code, message } : { code, message, data }
+});
+
+/**
+ * Executes a single JSON-RPC request against the toolRegistry.
+ * Returns the response object, or null for notifications (requests without an id).
+ * @param {object} context - { caller, role } who sent the request, for the audit log and access policy
+ */
+const processRpcRequest = async (rpcRequest, appConfig, context) => {
+  if (!rpcRequest || typeof rpcRequest !== 'object' || Array.isArray(rpcRequest) ||
+      rpcRequest.jsonrpc !== '2.0' || typeof rpcRequest.method !== 'string') {
+    return rpcError(rpcRequest?.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const { id, method, params = {} } = rpcRequest;
+  const isNotification = id === undefined;
+
+  const tool = Object.prototype.hasOwnProperty.call(toolRegistry, method) ? toolRegistry[method] : undefined;
+  if (!tool) {
+    return isNotification ? null : rpcError(id, JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+
+  const parsed = tool.schema.safeParse(params);
+  if (!parsed.success) {
+    await logAudit({
+      ...context,
+      tool: method,
+      nl_query: typeof params?.nl_query === 'string' ? params.nl_query : undefined,
+      status: 'invalid_params',
+      error: { message: 'Invalid params', issues: parsed.error.issues }
+    }, appConfig.audit);
+    return isNotification ? null : rpcError(id, JSON_RPC_ERRORS.INVALID_PARAMS, 'Invalid params', parsed.error.issues);
+  }
+
+  try {
+    const result = await tool.handler(parsed.data, appConfig, context);
+    return isNotification ? null : { jsonrpc: '2.0', id, result };
+  } catch (err) {
+    log.error(`${method} failed`, { error: err.message });
+    return isNotification ? null : rpcError(id, JSON_RPC_ERRORS.SERVER_ERROR, err.message, (err.reasons || err.attempts) && { reasons: err.reasons, attempts: err.attempts, cost_estimate: err.estimate });
+  }
+};
+
+/**
+ * Express error handler for the JSON-RPC routes: a body that is not valid JSON gets a
+ * JSON-RPC Parse error instead of Express's HTML error page.
+ */
+export const handleJsonParseError = (err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json(rpcError(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+};
+
+/**
+ * Express handler for POST /tool.
+ * Accepts a single JSON-RPC 2.0 request or a batch (array) of requests.
+ */
+export const handleToolCall = async (req, res) => {
+  const body = req.body;
+  const appConfig = req.appConfig || {};
+  const context = { caller: describeHttpCaller(req, 'json-rpc'), ...(req.user?.role ? { role: req.user.role } : {}) };
+
+  if (Array.isArray(body)) {
+    if (body.length === 0) {
+      return res.json(rpcError(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch'));
+    }
+    const responses = (await Promise.all(body.map(r => processRpcRequest(r, appConfig, context)))).filter(Boolean);
+    return responses.length ? res.json(responses) : res.status(204).end();
   }
+
+  const response = await processRpcRequest(body, appConfig, context);
+  return response ? res.json(response) : res.status(204).end();
 };
@@ -1,71 +1,54 @@
-import { getDbSchema, executeDbQuery, getActiveDbType } from '../utils/dbHelpers.js';
-import * as aiHelpers from '../utils/aiHelpers.js';
-import { formatResultsSummary } from '../utils/dataFormatter.js';
-import { generateQueryPrompt, generateResultSummaryPrompt } from '../utils/aiPrompts.js';
+import { executeNaturalLanguageQueryTool, dynamicQueryParamsSchema, describeParamsError } from './dynamicToolHandler.js';
+import { logAudit, describeHttpCaller } from '../utils/auditLogger.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('NL Query');
 
 /**
  * Handles AI-powered natural language queries
  * Converts NL → DB Query → Result → Summary
+ *
+ * Body: { query, language?, tone?, session_id?, clarifications?, mode?, format?, chart?, confirm_cost? },
+ * validated with the dynamicQuery tool parameters (`query` is `nl_query`). Ambiguous questions get a
+ * `needs_clarification` response; send the chosen options back as `clarifications`.
+ * mode 'generate' or 'explain' returns the SQL (and its plan) without running it.
+ * Queries over the cost limits are rejected (422) or get `needs_confirmation`; repeat them with `confirm_cost` set to its `sql_hash`.
  */
 export const handleNaturalLanguageQuery = async (req, res) => {
-  const { query } = req.body;
+  const { query, ...options } = req.body ?? {};
   const appConfig = req.appConfig;
   const role = req.user?.role || 'guest';
-  const redactFields = appConfig.redactFieldsForRoles?.[role] || [];
+  const caller = describeHttpCaller(req, 'http');
 
-  if (!query?.trim()) {
-    return res.status(400).json({ error: { code: 400, message: 'Missing or empty "query" field.' } });
+  const parsed = dynamicQueryParamsSchema.safeParse({ ...options, nl_query: query });
+  if (!parsed.success) {
+    const message = `Invalid request: ${describeParamsError(parsed.error, { nl_query: 'query' })}`;
+    await logAudit({ caller, role, nl_query: query, status: 'invalid_params', error: { message } }, appConfig.audit);
+    return res.status(400).json({ error: { code: 400, message } });
   }
 
-  console.log(`[▶] NL Query: "${query}" from role: ${role}`);
+  log.info('Natural language query', { query, role });
 
   try {
-    // Step 1: Get schema + generate AI database query
-    const schema = await getDbSchema();
-    const dbType = getActiveDbType();
-    const prompt = generateQueryPrompt(JSON.stringify(schema, null, 2), dbType, query);
-
-    const aiResponseRaw = await aiHelpers.callAiApi(prompt, appConfig);
-    const cleanedQuery = aiHelpers.cleanMarkdownResponse(aiResponseRaw).replace(/[^\x20-\x7E\t\n\r]/g, '').trim();
+    const result = await executeNaturalLanguageQueryTool(parsed.data, appConfig, { role, caller });
+    res.json(result);
 
-    // For Supabase (PostgreSQL), we expect SQL queries
-    const generatedDbQuery = cleanedQuery; // raw SQL
-    const q = cleanedQuery.toLowerCase();
-    const blockedWords = ['drop', 'alter', 'delete', 'insert', 'update', 'truncate'];
-    if (!q.startsWith('select') || blockedWords.some(w => q.includes(w))) {
-      throw new Error('SQL query is invalid or dangerous (non-SELECT or contains DML/DDL).');
+  } catch (err) {
+    log.error('handleNaturalLanguageQuery failed', { error: err.message });
+    // Rejected SQL: 403 when only the role's access policy refused it, 422 otherwise
+    if (err.code === 'SQL_REJECTED') {
+      const status = err.reasons.every(r => r.code === 'NOT_PERMITTED') ? 403 : 422;
+      return res.status(status).json({
+        error: { code: status, message: err.message, reasons: err.reasons, attempts: err.attempts }
+      });
     }
-
-    // Step 2: Execute DB query
-    const rawDbData = await executeDbQuery(generatedDbQuery);
-
-    // Step 3: Let AI summarize results (or fallback)
-    let aiSummary = "Summary not available.";
-    try {
-      aiSummary = await aiHelpers.callAiApi(
-        generateResultSummaryPrompt(query, rawDbData),
-        appConfig
-      );
-    } catch (e) {
-      console.warn('[⚠️] AI Summary generation failed:', e.message);
+    if (err.code === 'COST_LIMIT_EXCEEDED') {
+      return res.status(422).json({
+        error: { code: 422, message: err.message, reasons: err.reasons, cost_estimate: err.estimate, attempts: err.attempts }
+      });
     }
-
-    // Step 4: Return both summary and masked data
-    const summary = formatResultsSummary(rawDbData, {
-      maskFields: redactFields,
-      role
-    });
-
-    res.json({
-      data: rawDbData,
-      masked_summary: summary,
-      ai_summary: aiSummary
-    });
-
-  } catch (err) {
-    console.error('[❌] handleNaturalLanguageQuery Error:', err.message);
     res.status(500).json({
-      error: { code: 500, message: `Could not process query: ${err.message}` }
+      error: { code: 500, message: `Could not process query: ${err.message}`, attempts: err.attempts }
     });
   }
 };
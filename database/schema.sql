@@ -100,6 +100,11 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Table comments are picked up by schema introspection and shown to the AI
+COMMENT ON TABLE users IS 'Customer information including contact details and location';
+COMMENT ON TABLE products IS 'Product catalog with pricing, inventory, and categorization';
+COMMENT ON TABLE orders IS 'Customer orders with status tracking and shipping information';
+
 -- Create indexes for better search performance
 CREATE INDEX IF NOT EXISTS idx_users_name ON users(first_name, last_name);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -30,13 +30,13 @@ BEGIN
     -- Convert query to lowercase for security checks
     query_lower := lower(cleaned_query);
 
-    -- Security checks: only allow SELECT statements
-    IF NOT query_lower LIKE 'select%' THEN
-        RAISE EXCEPTION 'Only SELECT statements are allowed. Received: %', left(sql_query, 50);
+    -- Security checks: only allow SELECT statements (WITH ... SELECT included)
+    IF NOT (query_lower LIKE 'select%' OR query_lower LIKE 'with%') THEN
+        RAISE EXCEPTION 'Only SELECT and WITH statements are allowed. Received: %', left(sql_query, 50);
     END IF;
 
     -- Block dangerous keywords (comprehensive list)
-    IF query_lower ~ '\b(delete|update|insert|drop|alter|create|truncate|grant|revoke|exec|execute|call|declare|set|use|show|describe|explain)\b' THEN
+    IF query_lower ~ '\y(delete|update|insert|drop|alter|create|truncate|grant|revoke|exec|execute|call|declare|set|use|show|describe|explain)\y' THEN
         RAISE EXCEPTION 'Query contains forbidden keywords: %', sql_query;
     END IF;
 
@@ -191,6 +191,143 @@ $$;
 GRANT EXECUTE ON FUNCTION get_table_schema(text) TO authenticated;
 GRANT EXECUTE ON FUNCTION get_table_schema(text) TO anon;
 
+-- Create a function returning full schema details (tables, views, column types,
+-- primary/foreign keys, enum values and comments) for the given schemas.
+-- Mirrors the catalog queries in utils/schemaIntrospection.js.
+-- Runs with the caller's privileges and only reports relations the caller may SELECT,
+-- never system or Supabase-internal schemas, so anon cannot map auth, storage, etc.
+CREATE OR REPLACE FUNCTION get_schema_details(schema_names text[] DEFAULT ARRAY['public'])
+RETURNS json
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = pg_catalog, public
+AS $$
+    WITH visible_schemas AS (
+        SELECT n.oid, n.nspname
+        FROM pg_namespace n
+        WHERE n.nspname = ANY(schema_names)
+          AND n.nspname !~ '^pg_'
+          AND n.nspname NOT IN ('information_schema', 'auth', 'storage', 'vault', 'pgsodium', 'pgsodium_masks',
+                                'realtime', 'supabase_functions', 'supabase_migrations', 'extensions', 'graphql',
+                                'graphql_public', 'net', 'cron')
+    )
+    SELECT json_build_object(
+        'columns', COALESCE((
+            SELECT json_agg(cols) FROM (
+                SELECT
+                    n.nspname AS table_schema,
+                    c.relname AS table_name,
+                    CASE c.relkind
+                        WHEN 'v' THEN 'view'
+                        WHEN 'm' THEN 'materialized view'
+                        WHEN 'f' THEN 'foreign table'
+                        ELSE 'table'
+                    END AS table_type,
+                    obj_description(c.oid, 'pg_class') AS table_comment,
+                    a.attname AS column_name,
+                    format_type(a.atttypid, a.atttypmod) AS data_type,
+                    NOT a.attnotnull AS is_nullable,
+                    pg_get_expr(ad.adbin, ad.adrelid) AS column_default,
+                    CASE WHEN a.atttypmod > 4 AND t.typcategory = 'S' THEN a.atttypmod - 4 END AS max_length,
+                    col_description(c.oid, a.attnum) AS column_comment,
+                    CASE WHEN t.typtype = 'e' THEN (
+                        SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder) FROM pg_enum e WHERE e.enumtypid = t.oid
+                    ) END AS enum_values,
+                    EXISTS (
+                        SELECT 1 FROM pg_index i WHERE i.indrelid = c.oid AND i.indisprimary AND a.attnum = ANY(i.indkey)
+                    ) AS is_primary_key
+                FROM pg_class c
+                JOIN visible_schemas n ON n.oid = c.relnamespace
+                JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+                JOIN pg_type t ON t.oid = a.atttypid
+                LEFT JOIN pg_attrdef ad ON ad.adrelid = c.oid AND ad.adnum = a.attnum
+                WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f')
+                  AND NOT c.relispartition
+                  AND has_table_privilege(c.oid, 'SELECT')
+                ORDER BY n.nspname, c.relname, a.attnum
+            ) cols
+        ), '[]'::json),
+        'foreign_keys', COALESCE((
+            SELECT json_agg(fks) FROM (
+                SELECT
+                    n.nspname AS table_schema,
+                    c.relname AS table_name,
+                    fn.nspname AS foreign_table_schema,
+                    fc.relname AS foreign_table_name,
+                    ARRAY(
+                        SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+                        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.ord
+                    ) AS columns,
+                    ARRAY(
+                        SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+                        JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.ord
+                    ) AS foreign_columns
+                FROM pg_constraint con
+                JOIN pg_class c ON c.oid = con.conrelid
+                JOIN visible_schemas n ON n.oid = c.relnamespace
+                JOIN pg_class fc ON fc.oid = con.confrelid
+                JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+                WHERE con.contype = 'f'
+                  AND has_table_privilege(c.oid, 'SELECT')
+                  AND has_table_privilege(fc.oid, 'SELECT')
+                ORDER BY n.nspname, c.relname, con.conname
+            ) fks
+        ), '[]'::json)
+    );
+$$;
+
+-- Grant execute permission (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION get_schema_details(text[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_schema_details(text[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_schema_details(text[]) TO anon;
+
+-- Create a function returning the EXPLAIN (FORMAT JSON) plan of a SELECT query
+-- without running it. Same checks as execute_sql; used by the "explain" query mode.
+CREATE OR REPLACE FUNCTION explain_sql(sql_query text)
+RETURNS json
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    result json;
+    query_lower text;
+    cleaned_query text;
+BEGIN
+    IF sql_query IS NULL OR trim(sql_query) = '' THEN
+        RAISE EXCEPTION 'SQL query cannot be empty';
+    END IF;
+
+    cleaned_query := trim(regexp_replace(trim(sql_query), ';+$', ''));
+    query_lower := lower(cleaned_query);
+
+    IF NOT (query_lower LIKE 'select%' OR query_lower LIKE 'with%') THEN
+        RAISE EXCEPTION 'Only SELECT and WITH statements are allowed. Received: %', left(sql_query, 50);
+    END IF;
+
+    IF query_lower ~ '\y(delete|update|insert|drop|alter|create|truncate|grant|revoke|exec|execute|call|declare|set|use|show|describe|explain|analyze)\y' THEN
+        RAISE EXCEPTION 'Query contains forbidden keywords: %', sql_query;
+    END IF;
+
+    IF query_lower ~ ';.*\w' THEN
+        RAISE EXCEPTION 'Multiple statements not allowed';
+    END IF;
+
+    -- Plain EXPLAIN only plans the query; it is never executed
+    EXECUTE 'EXPLAIN (FORMAT JSON) ' || cleaned_query INTO result;
+
+    RETURN result;
+EXCEPTION
+    WHEN OTHERS THEN
+        RAISE EXCEPTION 'Query explain failed: %', SQLERRM;
+END;
+$$;
+
+-- Grant execute permission
+GRANT EXECUTE ON FUNCTION explain_sql(text) TO authenticated;
+GRANT EXECUTE ON FUNCTION explain_sql(text) TO anon;
+
 -- Create indexes for better performance (optional)
 -- These are examples - adjust based on your actual queries
 -- CREATE INDEX IF NOT EXISTS idx_users_city ON users(city);
@@ -246,6 +383,7 @@ GRANT EXECUTE ON FUNCTION get_query_stats(text) TO anon;
 
 -- Add comments for documentation
 COMMENT ON FUNCTION execute_sql(text) IS 'Safely execute SELECT SQL queries and return results as JSON';
+COMMENT ON FUNCTION explain_sql(text) IS 'Return the EXPLAIN (FORMAT JSON) plan of a SELECT query without running it';
 COMMENT ON FUNCTION test_rpc() IS 'Test function to verify RPC functionality is working';
 COMMENT ON FUNCTION get_query_stats(text) IS 'Get basic statistics for a table';
 COMMENT ON FUNCTION query_data(text, text, text, text, integer) IS 'Execute parameterized queries on tables';
@@ -260,7 +398,7 @@ SELECT
     routine_definition as definition
 FROM information_schema.routines
 WHERE routine_schema = 'public'
-AND routine_name IN ('execute_sql', 'test_rpc', 'get_query_stats', 'query_data', 'get_table_schema')
+AND routine_name IN ('execute_sql', 'explain_sql', 'test_rpc', 'get_query_stats', 'query_data', 'get_table_schema')
 ORDER BY routine_name;
 
 -- Grant access to the view
@@ -273,6 +411,7 @@ BEGIN
     RAISE NOTICE '=== Supabase RPC Setup Complete ===';
     RAISE NOTICE 'Functions created:';
     RAISE NOTICE '  - execute_sql(text): Execute any SELECT query';
+    RAISE NOTICE '  - explain_sql(text): Plan a SELECT query without running it';
     RAISE NOTICE '  - test_rpc(): Test RPC functionality';
     RAISE NOTICE '  - get_query_stats(text): Get table statistics';
     RAISE NOTICE '  - query_data(...): Parameterized queries';
@@ -0,0 +1,44 @@
+import express from 'express';
+import cors from 'cors';
+import mcpToolRoutes from './routes/mcpToolRoutes.js';
+import { createMcpTransportRouter } from './routes/mcpTransportRoutes.js';
+import { handleJsonParseError } from './controllers/mcpToolController.js';
+import { createLogger } from './utils/logger.js';
+
+const log = createLogger('HTTP');
+
+/**
+ * Starts the HTTP server used by the web frontend and remote MCP clients.
+ *  - /api/*             JSON-RPC tool endpoints (routes/mcpToolRoutes.js)
+ *  - /mcp               MCP Streamable HTTP transport
+ *  - /sse + /messages   MCP HTTP+SSE fallback transport
+ */
+export const startHttpServer = (appConfig, port = process.env.PORT || 3001) => {
+  const app = express();
+
+  app.use(cors({ exposedHeaders: ['mcp-session-id'] }));
+  app.use(express.json());
+
+  // Controllers read the active config from the request
+  app.use((req, res, next) => {
+    req.appConfig = appConfig;
+    next();
+  });
+
+  app.use('/api', mcpToolRoutes);
+  app.use(createMcpTransportRouter(appConfig));
+  // express.json() errors skip the routers: answer malformed JSON-RPC bodies with a Parse error
+  app.use(['/api/tool', '/mcp', '/messages'], handleJsonParseError);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, () => {
+      log.info(`HTTP server listening on port ${port}`, {
+        jsonRpc: `http://localhost:${port}/api/tool`,
+        mcpStreamable: `http://localhost:${port}/mcp`,
+        mcpSse: `http://localhost:${port}/sse`
+      });
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+};
@@ -9,6 +9,7 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { createInterface } from 'readline';
+import { userInfo } from 'os';
 import { initializeSupabaseForMCP } from './utils/supabaseClient.js';
 import { executeNaturalLanguageQueryTool } from './controllers/dynamicToolHandler.js';
 
@@ -131,7 +132,7 @@ async function executeQuery(query) {
       nl_query: query,
       language: 'English',
       tone: 'neutral'
-    }, config);
+    }, config, { caller: { transport: 'interactive', user: userInfo().username } });
 
     const executionTime = Date.now() - startTime;
 
@@ -1,9 +1,11 @@
 import express from 'express';
 import { handleToolCall, getToolDefinitions } from '../controllers/mcpToolController.js';
+import { handleNaturalLanguageQuery } from '../controllers/naturalQueryController.js';
 
 const router = express.Router();
 
 router.post('/tool', handleToolCall);
+router.post('/query', handleNaturalLanguageQuery);
 router.get('/tools/list', (req, res) => {
   res.json({
     jsonrpc: "2.0",
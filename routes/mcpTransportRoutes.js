@@ -0,0 +1,122 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../controllers/mcpServer.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('MCP HTTP');
+
+/**
+ * Builds the router that serves MCP over HTTP.
+ *  - Streamable HTTP: POST/GET/DELETE /mcp (current spec)
+ *  - SSE fallback:    GET /sse + POST /messages?sessionId=... (2024-11-05 spec)
+ * Each session gets its own transport and MCP server instance.
+ */
+export const createMcpTransportRouter = (appConfig) => {
+  const router = express.Router();
+  const streamableTransports = {};
+  const sseTransports = {};
+
+  const jsonRpcError = (res, status, message) => {
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message },
+      id: null
+    });
+  };
+
+  // ---- Streamable HTTP ----
+
+  router.post('/mcp', async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+
+    try {
+      let transport = sessionId ? streamableTransports[sessionId] : undefined;
+
+      if (!transport) {
+        if (sessionId || !isInitializeRequest(req.body)) {
+          return jsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            streamableTransports[id] = transport;
+            log.info('Session initialized', { mcp_session: id });
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            delete streamableTransports[transport.sessionId];
+            log.info('Session closed', { mcp_session: transport.sessionId });
+          }
+        };
+
+        await createMcpServer(appConfig).connect(transport);
+      }
+
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      log.error('Error handling request', { error: error.message });
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  // GET opens the server-to-client notification stream, DELETE ends the session.
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const transport = sessionId && streamableTransports[sessionId];
+    if (!transport) {
+      return res.status(400).send('Invalid or missing session ID');
+    }
+    try {
+      await transport.handleRequest(req, res);
+    } catch (error) {
+      log.error('Error handling session request', { error: error.message, mcp_session: sessionId });
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  };
+
+  router.get('/mcp', handleSessionRequest);
+  router.delete('/mcp', handleSessionRequest);
+
+  // ---- Deprecated HTTP+SSE fallback ----
+
+  router.get('/sse', async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sseTransports[transport.sessionId] = transport;
+    res.on('close', () => {
+      delete sseTransports[transport.sessionId];
+    });
+
+    try {
+      await createMcpServer(appConfig).connect(transport);
+      log.info('SSE session opened', { mcp_session: transport.sessionId });
+    } catch (error) {
+      log.error('Failed to open SSE session', { error: error.message });
+    }
+  });
+
+  router.post('/messages', async (req, res) => {
+    const transport = sseTransports[req.query.sessionId];
+    if (!transport) {
+      return res.status(400).send('No SSE session found for sessionId');
+    }
+    try {
+      await transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      log.error('Error handling SSE message', { error: error.message, mcp_session: req.query.sessionId });
+      if (!res.headersSent) {
+        jsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  });
+
+  return router;
+};
@@ -12,7 +12,7 @@ import { dirname, join } from 'path';
 import { initializeDatabase, executeDbQuery } from './utils/dbHelpers.js';
 import { getSupabaseClient } from './utils/supabaseClient.js';
 import { config as loadEnv } from 'dotenv';
-loadEnv();
+loadEnv({ quiet: true });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,7 +10,7 @@ import { initializeDatabase, getDbSchema } from './utils/dbHelpers.js';
 import { initializeSupabaseForMCP, getSupabaseClient } from './utils/supabaseClient.js';
 
 import { config as loadEnv } from 'dotenv';
-loadEnv();
+loadEnv({ quiet: true });
 
 console.log('🔍 Testing Supabase connection...\n');
 
@@ -16,7 +16,7 @@ import {
   getActiveDbType
 } from './utils/dbHelpers.js';
 import { config as loadEnv } from 'dotenv';
-loadEnv();
+loadEnv({ quiet: true });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,8 +10,11 @@ mcpServer.stdout.on('data', (data) => {
   // Try to parse and print JSON response
   try {
     const json = JSON.parse(output);
-    if (json.result && json.result.result && json.result.result.ai_summary) {
-      console.log('\nReceived dynamicQuery response:', JSON.stringify(json.result.result, null, 2));
+    if (json.result && json.result.structuredContent && json.result.structuredContent.ai_summary) {
+      console.log('\nReceived dynamicQuery response:', JSON.stringify(json.result.structuredContent, null, 2));
+      mcpServer.kill();
+    } else if (json.result && json.result.isError) {
+      console.log('\nReceived dynamicQuery error:', json.result.content?.[0]?.text);
       mcpServer.kill();
     }
   } catch (e) {
@@ -23,16 +26,19 @@ mcpServer.stderr.on('data', (data) => {
   process.stderr.write(`[MCP Server Error]: ${data}`);
 });
 
-// Send a tools/dynamicQuery request after a short delay to allow server startup
+// Send a tools/call request for dynamicQuery after a short delay to allow server startup
 setTimeout(() => {
   const request = JSON.stringify({
     jsonrpc: '2.0',
     id: '2',
-    method: 'tools/dynamicQuery',
+    method: 'tools/call',
     params: {
-      nl_query: 'Find customers who have both a housing loan and a personal loan.',
-      language: 'English',
-      tone: 'formal'
+      name: 'dynamicQuery',
+      arguments: {
+        nl_query: 'Find customers who have both a housing loan and a personal loan.',
+        language: 'English',
+        tone: 'formal'
+      }
     }
   }) + '\n';
   mcpServer.stdin.write(request);
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveAccessPolicy,
+  isTableAllowed,
+  isColumnAllowed,
+  filterSchemaForPolicy
+} from '../utils/accessPolicy.js';
+import { validateSql } from '../utils/sqlValidator.js';
+
+const config = {
+  accessPolicies: {
+    default: { denyTables: ['auth.*'], denyColumns: ['*.password_hash'] },
+    roles: {
+      guest: { allowTables: ['products', 'users'], denyColumns: ['users.email'] },
+      admin: {}
+    }
+  }
+};
+
+const table = (name, columns) => ({
+  schema: 'public', name, type: 'table', primaryKey: ['id'], foreignKeys: [],
+  columns: columns.map(column => ({ name: column, type: 'text' }))
+});
+const schema = {
+  users: table('users', ['id', 'name', 'email', 'password_hash']),
+  products: table('products', ['id', 'name', 'price']),
+  orders: { ...table('orders', ['id', 'user_id']), foreignKeys: [{ columns: ['user_id'], references: { table: 'users', columns: ['id'] } }] },
+  'auth.users': { ...table('users', ['id']), schema: 'auth' }
+};
+
+test('a role adds deny lists to the defaults and replaces allow lists', () => {
+  const guest = resolveAccessPolicy(config, 'guest');
+  assert.deepEqual(guest.denyColumns, ['*.password_hash', 'users.email']);
+  assert.deepEqual(guest.allowTables, ['products', 'users']);
+  assert.equal(resolveAccessPolicy(config, 'admin').allowTables, null);
+  assert.equal(resolveAccessPolicy({}, 'guest'), null);
+});
+
+test('tables and columns are matched with globs', () => {
+  const admin = resolveAccessPolicy(config, 'admin');
+  assert.equal(isTableAllowed(admin, 'auth.users'), false);
+  assert.equal(isTableAllowed(admin, 'orders'), true);
+  assert.equal(isColumnAllowed(admin, 'users', 'password_hash'), false);
+  assert.equal(isColumnAllowed(admin, 'users', 'email'), true);
+  assert.equal(isColumnAllowed(null, 'users', 'password_hash'), true);
+});
+
+test('the schema shown to the prompt hides denied tables, columns and their foreign keys', () => {
+  const visible = filterSchemaForPolicy(schema, resolveAccessPolicy(config, 'guest'));
+  assert.deepEqual(Object.keys(visible), ['users', 'products']);
+  assert.deepEqual(visible.users.columns.map(col => col.name), ['id', 'name']);
+});
+
+test('queries touching denied objects are rejected with NOT_PERMITTED reasons', () => {
+  const accessPolicy = resolveAccessPolicy(config, 'guest');
+  const check = (sql) => validateSql(sql, { accessPolicy, schema });
+
+  assert.equal(check('SELECT id, name FROM users').valid, true);
+  assert.equal(check('SELECT count(*) FROM users').valid, true);
+
+  for (const sql of [
+    'SELECT email FROM users',
+    'SELECT * FROM users',
+    'SELECT row_to_json(u) FROM users u',
+    'SELECT id FROM orders',
+    'SELECT id FROM auth.users'
+  ]) {
+    const result = check(sql);
+    assert.equal(result.valid, false, sql);
+    assert.ok(result.reasons.every(reason => reason.code === 'NOT_PERMITTED'), sql);
+  }
+});
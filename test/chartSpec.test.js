@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateChartSpec, validateChartSuggestion } from '../utils/chartSpec.js';
+
+const appConfig = { charts: { llmSuggestions: false } };
+
+test('charts a date column and a measure as a line', async () => {
+  const rows = [
+    { month: '2024-01-01', revenue: 1200 },
+    { month: '2024-02-01', revenue: 1500 }
+  ];
+  const chart = await generateChartSpec({ rows, question: 'Revenue by month', appConfig });
+  assert.equal(chart.type, 'line');
+  assert.equal(chart.chosen_by, 'shape');
+  assert.deepEqual(chart.spec.encoding.x, { field: 'month', type: 'temporal', title: 'month' });
+  assert.deepEqual(chart.spec.encoding.y, { field: 'revenue', type: 'quantitative', title: 'revenue' });
+});
+
+test('keeps numeric-looking strings such as zip codes as categories', async () => {
+  const rows = [
+    { zip_code: '02134', customers: 12 },
+    { zip_code: '10001', customers: 30 }
+  ];
+  const chart = await generateChartSpec({ rows, question: 'Customers by zip code', appConfig });
+  assert.equal(chart.type, 'bar');
+  assert.equal(chart.spec.encoding.x.type, 'nominal');
+  assert.deepEqual(chart.spec.data.values.map(row => row.zip_code), ['02134', '10001']);
+});
+
+test('returns null when nothing can be charted', async () => {
+  assert.equal(await generateChartSpec({ rows: [{ name: 'Ada' }], question: 'Names', appConfig }), null);
+  assert.equal(await generateChartSpec({ rows: [], question: 'Nothing', appConfig }), null);
+});
+
+test('rejects suggestions whose fields do not fit the chart type', () => {
+  const fields = { zip_code: { type: 'nominal', distinct: 2 }, customers: { type: 'quantitative' } };
+  assert.deepEqual(validateChartSuggestion({ type: 'bar', x: 'zip_code', y: 'customers' }, fields), []);
+  const reasons = validateChartSuggestion({ type: 'scatter', x: 'zip_code', y: 'customers' }, fields);
+  assert.match(reasons[0], /x field "zip_code" is nominal/);
+});
@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  resolveCostGuardOptions,
+  checkQueryCost,
+  estimateQueryCost,
+  enforceCostGuard,
+  hashQuery
+} from '../utils/costGuard.js';
+import { initializeSupabaseClient } from '../utils/supabaseClient.js';
+import { executeDbQuery } from '../utils/dbHelpers.js';
+
+const planOf = (cost, rows) => ({ Plan: { 'Node Type': 'Nested Loop', 'Total Cost': cost, 'Plan Rows': rows } });
+const guard = (overrides = {}) => resolveCostGuardOptions({ costGuard: { maxCost: 1000, maxRows: 100, ...overrides } });
+const explainUnavailable = async () => {
+  const error = new Error('explain_sql is not installed');
+  error.code = 'EXPLAIN_UNAVAILABLE';
+  throw error;
+};
+
+test('resolves defaults and falls back to reject for an unknown action', () => {
+  const options = resolveCostGuardOptions({ costGuard: { action: 'ask' } });
+  assert.equal(options.action, 'reject');
+  assert.equal(options.enabled, true);
+  assert.equal(options.requireExplain, false);
+});
+
+test('reports every limit an estimate exceeds; 0 disables a limit', () => {
+  assert.deepEqual(checkQueryCost({ total_cost: 10, plan_rows: 5 }, { maxCost: 1000, maxRows: 100 }), []);
+  const codes = checkQueryCost({ total_cost: 5000, plan_rows: 500 }, { maxCost: 1000, maxRows: 100 }).map(r => r.code);
+  assert.deepEqual(codes, ['COST_TOO_HIGH', 'TOO_MANY_ROWS']);
+  assert.deepEqual(checkQueryCost({ total_cost: 5000, plan_rows: 500 }, { maxCost: 0, maxRows: 0 }), []);
+});
+
+test('estimates from the top plan node', () => {
+  assert.deepEqual(estimateQueryCost(planOf(25.5, 3), guard()), { total_cost: 25.5, plan_rows: 3, exceeds_limits: false });
+  assert.equal(estimateQueryCost(planOf(5000, 3), guard()).exceeds_limits, true);
+});
+
+test('rejects a query over the limits with the reasons and estimate', async () => {
+  await assert.rejects(
+    enforceCostGuard('SELECT 1', { options: guard(), explain: async () => planOf(5000, 10) }),
+    (error) => error.code === 'COST_LIMIT_EXCEEDED'
+      && error.action === 'reject'
+      && error.estimate.total_cost === 5000
+      && error.reasons[0].code === 'COST_TOO_HIGH'
+  );
+});
+
+test('with action confirm, runs a confirmed query and asks through elicitation otherwise', async () => {
+  const explain = async () => planOf(5000, 10);
+  const options = guard({ action: 'confirm' });
+
+  const confirmed = await enforceCostGuard('SELECT 1', { options, confirmed: hashQuery('SELECT 1'), explain });
+  assert.equal(confirmed.estimate.total_cost, 5000);
+
+  await assert.rejects(enforceCostGuard('SELECT 1', { options, explain }),
+    { code: 'COST_LIMIT_EXCEEDED', action: 'confirm', sqlHash: hashQuery('SELECT 1') });
+
+  const accepted = await enforceCostGuard('SELECT 1', {
+    options, explain, elicit: async () => ({ action: 'accept', content: { run: true } })
+  });
+  assert.equal(accepted.estimate.exceeds_limits, true);
+
+  await assert.rejects(
+    enforceCostGuard('SELECT 1', { options, explain, elicit: async () => ({ action: 'decline' }) }),
+    { code: 'QUERY_CANCELLED' }
+  );
+  await assert.rejects(
+    enforceCostGuard('SELECT 1', { options, explain, elicit: async () => { throw new Error('Client does not support elicitation'); } }),
+    { code: 'QUERY_CANCELLED' }
+  );
+});
+
+test('a confirmation does not cover a different query', async () => {
+  const options = guard({ action: 'confirm' });
+  await assert.rejects(
+    enforceCostGuard('SELECT 2', { options, confirmed: hashQuery('SELECT 1'), explain: async () => planOf(5000, 10) }),
+    (error) => error.code === 'COST_LIMIT_EXCEEDED'
+      && /differs from the one confirmed/.test(error.message)
+      && error.sqlHash === hashQuery('SELECT 2')
+  );
+});
+
+test('reports a skipped check when EXPLAIN is unavailable, or refuses with requireExplain', async () => {
+  const check = await enforceCostGuard('SELECT 1', { options: guard(), explain: explainUnavailable });
+  assert.equal(check.estimate, null);
+  assert.match(check.skipped, /explain_sql/);
+
+  await assert.rejects(
+    enforceCostGuard('SELECT 1', { options: guard({ requireExplain: true }), explain: explainUnavailable }),
+    { code: 'EXPLAIN_UNAVAILABLE' }
+  );
+});
+
+test('does nothing when disabled', async () => {
+  const check = await enforceCostGuard('SELECT 1', {
+    options: guard({ enabled: false }),
+    explain: async () => { throw new Error('should not plan'); }
+  });
+  assert.equal(check, null);
+});
+
+// executeDbQuery applies the guard itself, so no caller can skip it
+const rpc = { cost: 10, calls: [] };
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const fn = req.url.split('?')[0].split('/').pop();
+    rpc.calls.push(fn);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(fn === 'explain_sql' ? [planOf(rpc.cost, 1)] : [{ total: 42 }]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_ANON_KEY = 'anon';
+  initializeSupabaseClient({});
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  rpc.calls = [];
+});
+
+test('executeDbQuery plans the query and reports the estimate before running it', async () => {
+  rpc.cost = 10;
+  let check;
+  const rows = await executeDbQuery('SELECT 42 AS total', { costGuard: { options: guard(), onCheck: (c) => { check = c; } } });
+  assert.deepEqual(rows, [{ total: 42 }]);
+  assert.deepEqual(rpc.calls, ['explain_sql', 'execute_sql']);
+  assert.equal(check.estimate.total_cost, 10);
+});
+
+test('executeDbQuery does not run a query over the limits', async () => {
+  rpc.cost = 5000;
+  await assert.rejects(executeDbQuery('SELECT 42 AS total', { costGuard: { options: guard() } }), { code: 'COST_LIMIT_EXCEEDED' });
+  assert.deepEqual(rpc.calls, ['explain_sql']);
+});
@@ -0,0 +1,114 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  maskSensitiveFields,
+  resolveMaskFields,
+  resolveHashSalt,
+  validateMaskingConfig,
+  formatResults
+} from '../utils/dataFormatter.js';
+import { detectPiiColumns } from '../utils/piiDetector.js';
+import { maskResultsForRole } from '../controllers/dynamicToolHandler.js';
+
+const row = {
+  name: 'Ada',
+  email: 'ada@example.com',
+  phone: '+44 20 7946 0101',
+  profile: { tax_id: 'AB123456', city: 'London' },
+  settings: '{"ssn":"123-45-6789","theme":"dark"}'
+};
+
+afterEach(() => {
+  delete process.env.MASK_HASH_SALT;
+});
+
+test('applies each strategy, nested paths and JSON stored as text included', () => {
+  const [masked] = maskSensitiveFields([row], {
+    email: 'email-domain',
+    phone: 'last-4',
+    'profile.tax_id': 'hash',
+    ssn: 'full',
+    name: 'null'
+  }, { hashSalt: 'pepper' });
+
+  assert.equal(masked.email, '***@example.com');
+  assert.equal(masked.phone, '************0101');
+  assert.match(masked.profile.tax_id, /^[0-9a-f]{16}$/);
+  assert.equal(masked.profile.city, 'London');
+  assert.deepEqual(JSON.parse(masked.settings), { ssn: '***', theme: 'dark' });
+  assert.equal(masked.name, null);
+});
+
+test('hashes are stable for one salt and differ between salts', () => {
+  const hash = (hashSalt) => maskSensitiveFields({ email: row.email }, { email: 'hash' }, { hashSalt }).email;
+  assert.equal(hash('pepper'), hash('pepper'));
+  assert.notEqual(hash('pepper'), hash('salt'));
+});
+
+test('refuses to hash without a salt', () => {
+  assert.throws(() => maskSensitiveFields({ email: row.email }, { email: 'hash' }), /needs a salt/);
+});
+
+test('role strategies win over maskFields', () => {
+  const config = { maskFields: ['email', 'ssn'], redactFieldsForRoles: { guest: { email: 'email-domain' } } };
+  assert.deepEqual(resolveMaskFields(config, 'guest'), { email: 'email-domain', ssn: 'full' });
+  assert.deepEqual(resolveMaskFields(config, 'admin'), { email: 'full', ssn: 'full' });
+});
+
+test('MASK_HASH_SALT wins over masking.hashSalt', () => {
+  assert.equal(resolveHashSalt({ masking: { hashSalt: 'config' } }), 'config');
+  process.env.MASK_HASH_SALT = 'env';
+  assert.equal(resolveHashSalt({ masking: { hashSalt: 'config' } }), 'env');
+});
+
+test('startup validation reports unknown strategies and unsalted hashes', () => {
+  const config = {
+    maskFields: { email: 'blur' },
+    redactFieldsForRoles: { guest: { 'profile.tax_id': 'hash' } },
+    piiDetection: { overrides: { order_number: false, ip: 'hash' } },
+    masking: { hashSalt: '' }
+  };
+  assert.throws(() => validateMaskingConfig(config), (error) => {
+    assert.equal(error.code, 'MASKING_CONFIG_INVALID');
+    assert.match(error.message, /maskFields: Unknown masking strategy "blur"/);
+    assert.match(error.message, /redactFieldsForRoles\.guest: "profile\.tax_id" uses "hash" without a salt/);
+    assert.match(error.message, /piiDetection\.overrides: "ip" uses "hash"/);
+    return true;
+  });
+
+  assert.doesNotThrow(() => validateMaskingConfig({ ...config, maskFields: ['email'], masking: { hashSalt: 'pepper' } }));
+});
+
+test('auto-detected IP addresses are fully masked when hashing is unavailable', () => {
+  const rows = [{ ip_address: '10.0.0.1' }];
+  assert.equal(detectPiiColumns(rows).fields.ip_address, 'hash');
+  assert.equal(detectPiiColumns(rows, { canHash: false }).fields.ip_address, 'full');
+});
+
+test('masked columns stay masked under aliases and in computed values', () => {
+  const config = {
+    redactFieldsForRoles: { guest: { phone: 'last-4', 'profile.tax_id': 'hash' } },
+    masking: { hashSalt: 'pepper' },
+    piiDetection: { enabled: false }
+  };
+  const results = [{ x: '5551234567', y: '5551234567!', t: 'AB123456', p: { tax_id: 'AB123456', city: 'Paris' }, name: 'Ada' }];
+  const sql = "SELECT phone AS x, phone || '!' AS y, profile->>'tax_id' AS t, profile AS p, name FROM users";
+  const { rows: [masked], maskFields } = maskResultsForRole(results, config, 'guest', sql);
+
+  assert.equal(masked.x, '******4567');
+  assert.equal(masked.y, '***');
+  assert.match(masked.t, /^[0-9a-f]{16}$/);
+  assert.match(masked.p.tax_id, /^[0-9a-f]{16}$/);
+  assert.equal(masked.p.city, 'Paris');
+  assert.equal(masked.name, 'Ada');
+  assert.deepEqual(Object.keys(maskFields).sort(), ['p.tax_id', 'phone', 'profile.tax_id', 't', 'x', 'y']);
+
+  const union = maskResultsForRole([{ name: '5551234567' }], config, 'guest',
+    'WITH c AS (SELECT name FROM users) SELECT name FROM c UNION SELECT phone FROM users').rows;
+  assert.equal(union[0].name, '******4567');
+});
+
+test('formats masked rows as RFC 4180 CSV', () => {
+  const rows = maskSensitiveFields([{ name: 'Ada', email: 'ada@example.com' }], { email: 'email-domain' });
+  assert.equal(formatResults(rows, 'csv'), 'name,email\r\nAda,***@example.com');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import knex from 'knex';
+import { escapeRawSql, getDirectConnectionConfig, parseInt8, parseNumeric } from '../utils/dbHelpers.js';
+import { validateSql } from '../utils/sqlValidator.js';
+
+// What the pg driver receives for a knex.raw query without bindings (no connection needed)
+const pg = knex({ client: 'pg' });
+const sentToPostgres = (sql) => {
+  const { sql: compiled, bindings } = pg.raw(sql).toSQL();
+  assert.deepEqual(bindings, []);
+  return pg.client.positionBindings(compiled);
+};
+
+test('jsonb ?, ?| and ?& operators reach PostgreSQL unchanged', () => {
+  const sql = "SELECT id FROM users WHERE profile ? 'tax_id' OR profile ?| array['a', 'b'] OR profile ?& array['c']";
+  assert.equal(validateSql(sql).valid, true);
+  assert.match(sentToPostgres(sql), /\$1/);
+  assert.equal(sentToPostgres(escapeRawSql(sql)), sql);
+});
+
+test("a '?' string literal is not turned into a placeholder", () => {
+  const sql = "SELECT id, '?' AS marker FROM users WHERE name LIKE 'A?%'";
+  assert.equal(sentToPostgres(escapeRawSql(sql)), sql);
+  assert.equal(sentToPostgres(`EXPLAIN (FORMAT JSON) ${escapeRawSql(sql)}`), `EXPLAIN (FORMAT JSON) ${sql}`);
+});
+
+const withEnv = (vars, fn) => {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.entries(vars).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+};
+
+const supabaseHost = { DATABASE_URL: undefined, SUPABASE_HOST: 'db.example.supabase.co', SUPABASE_PASSWORD: 'pw', DB_SSL_CA_FILE: undefined };
+
+test('SUPABASE_HOST connections verify the server certificate by default', () => {
+  withEnv(supabaseHost, () => {
+    assert.deepEqual(getDirectConnectionConfig({}).ssl, { rejectUnauthorized: true });
+    assert.deepEqual(getDirectConnectionConfig({ database: { ssl: { rejectUnauthorized: false } } }).ssl, { rejectUnauthorized: false });
+    assert.equal(getDirectConnectionConfig({ database: { ssl: false } }).ssl, false);
+  });
+});
+
+test('DB_SSL_CA_FILE adds the CA certificate', () => {
+  const caFile = path.join(os.tmpdir(), `db-ca-${process.pid}.pem`);
+  fs.writeFileSync(caFile, 'PEM');
+  try {
+    withEnv({ ...supabaseHost, DB_SSL_CA_FILE: caFile }, () => {
+      assert.deepEqual(getDirectConnectionConfig({}).ssl, { rejectUnauthorized: true, ca: 'PEM' });
+    });
+  } finally {
+    fs.rmSync(caFile);
+  }
+});
+
+test('DATABASE_URL connections leave TLS to the URL unless database.ssl is set', () => {
+  withEnv({ ...supabaseHost, DATABASE_URL: 'postgres://app@localhost/app' }, () => {
+    assert.equal(getDirectConnectionConfig({}).ssl, undefined);
+    assert.deepEqual(getDirectConnectionConfig({ database: { ssl: true } }).ssl, {});
+  });
+});
+
+test('int8 and numeric become numbers only when no precision is lost', () => {
+  assert.equal(parseInt8('42'), 42);
+  assert.equal(parseInt8('-9007199254740991'), -9007199254740991);
+  assert.equal(parseInt8('9007199254740993'), '9007199254740993');
+  assert.equal(parseNumeric('12.50'), 12.5);
+  assert.equal(parseNumeric('100'), 100);
+  assert.equal(parseNumeric('0.1'), 0.1);
+  assert.equal(parseNumeric('12345678901234567890.12'), '12345678901234567890.12');
+  assert.equal(parseNumeric('0.12345678901234567890'), '0.12345678901234567890');
+  assert.equal(parseNumeric('NaN'), 'NaN');
+});
@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHttpServer } from '../httpServer.js';
+import { configureLogger } from '../utils/logger.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  configureLogger({ level: 'error' });
+  server = await startHttpServer({ audit: { enabled: false } }, 0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  configureLogger();
+});
+
+const postRaw = (path, body) =>
+  fetch(`${baseUrl}${path}`, { method: 'POST', headers: { 'content-type': 'application/json' }, body });
+
+test('a malformed JSON body gets a JSON-RPC Parse error', async () => {
+  for (const path of ['/api/tool', '/mcp']) {
+    const response = await postRaw(path, '{"jsonrpc": "2.0", "method": ');
+    assert.equal(response.status, 400, path);
+    assert.match(response.headers.get('content-type'), /application\/json/);
+    assert.deepEqual(await response.json(), { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+  }
+});
+
+test('well-formed requests still reach the tool handler', async () => {
+  const response = await postRaw('/api/tool', JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'nope' }));
+  const body = await response.json();
+  assert.equal(body.error.code, -32601);
+});
@@ -0,0 +1,49 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveLlmSettings, validateLlmConfig } from '../utils/llmProviders.js';
+
+before(() => {
+  // The provider must come from the configs below, not from the shell
+  for (const name of ['LLM_PROVIDER', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT', 'LLM_BASE_URL']) {
+    delete process.env[name];
+  }
+});
+
+test('task settings win over llm and provider settings', () => {
+  const config = {
+    llm: {
+      provider: 'openai',
+      temperature: 0.7,
+      providers: { openai: { model: 'gpt-4o-mini' } },
+      tasks: { sql: { temperature: 0 } }
+    }
+  };
+  assert.deepEqual(
+    [resolveLlmSettings(config, 'sql').temperature, resolveLlmSettings(config, 'summary').temperature],
+    [0, 0.7]
+  );
+  assert.equal(resolveLlmSettings(config, 'sql').model, 'gpt-4o-mini');
+});
+
+test('openai and anthropic have default models', () => {
+  assert.equal(resolveLlmSettings({}, 'sql').model, 'gpt-3.5-turbo');
+  assert.equal(resolveLlmSettings({ llm: { provider: 'anthropic' } }, 'sql').model, 'claude-3-5-haiku-latest');
+  assert.doesNotThrow(() => validateLlmConfig({ llm: { provider: 'anthropic' } }));
+});
+
+test('startup validation names what a provider is missing and for which tasks', () => {
+  assert.throws(() => validateLlmConfig({ llm: { provider: 'azure', providers: { azure: { endpoint: 'https://example.openai.azure.com' } } } }), (error) => {
+    assert.equal(error.code, 'LLM_CONFIG_INVALID');
+    assert.match(error.message, /provider "azure" needs "deployment"/);
+    assert.doesNotMatch(error.message, /needs "endpoint"/);
+    return true;
+  });
+  assert.throws(
+    () => validateLlmConfig({ llm: { provider: 'openai', tasks: { chart: { provider: 'ollama' } } } }),
+    /unknown provider "ollama" .*\(tasks: chart\)$/
+  );
+  assert.throws(
+    () => validateLlmConfig({ llm: { provider: 'openai-compatible', providers: { 'openai-compatible': { baseUrl: 'http://localhost:11434/v1' } } } }),
+    /provider "openai-compatible" needs "model"/
+  );
+});
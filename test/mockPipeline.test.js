@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import { readFileSync } from 'node:fs';
+import { initializeSupabaseClient } from '../utils/supabaseClient.js';
+import { getUnmatchedPrompts } from '../utils/mockLlmProvider.js';
+import { executeNaturalLanguageQueryTool } from '../controllers/dynamicToolHandler.js';
+
+// The whole NL → SQL → results → summary pipeline with the mock LLM (fixtures/llm-mock.json)
+// and a PostgREST stand-in for the Supabase RPCs, run from outside the project directory.
+const config = JSON.parse(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+const appConfig = {
+  ...config,
+  audit: { enabled: false },
+  llm: { ...config.llm, providers: { ...config.llm.providers, mock: { ...config.llm.providers.mock, unmatchedLog: null } } }
+};
+
+const column = (table, name, type, primaryKey = false) => ({
+  table_schema: 'public', table_name: table, table_type: 'table',
+  column_name: name, data_type: type, is_nullable: 'YES', is_primary_key: primaryKey
+});
+const columns = [
+  column('users', 'id', 'integer', true), column('users', 'name', 'text'), column('users', 'email', 'text'),
+  column('orders', 'id', 'integer', true), column('orders', 'user_id', 'integer'), column('orders', 'total_amount', 'numeric')
+];
+const executed = [];
+let server;
+let cwd;
+
+before(async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const fn = req.url.split('?')[0].split('/').pop();
+      const send = (data) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+      if (fn === 'get_schema_details') return send({ columns, foreign_keys: [] });
+      if (fn === 'explain_sql') return send([{ Plan: { 'Node Type': 'Aggregate', 'Total Cost': 25.5, 'Plan Rows': 1 } }]);
+      executed.push(JSON.parse(body).sql_query);
+      send([{ total: 42 }]);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_ANON_KEY = 'anon';
+  initializeSupabaseClient({});
+
+  cwd = process.cwd();
+  process.chdir(os.tmpdir());
+});
+
+after(() => {
+  process.chdir(cwd);
+  server.close();
+});
+
+test('answers a question from the mock fixtures', async () => {
+  const result = await executeNaturalLanguageQueryTool({ nl_query: 'Count total users' }, appConfig);
+
+  assert.equal(result.sql, 'SELECT COUNT(*) AS total FROM users');
+  assert.deepEqual(executed, [result.sql]);
+  assert.deepEqual(result.data, [{ total: 42 }]);
+  assert.equal(result.ai_summary, 'The database contains the reported total number of users.');
+  assert.deepEqual(result.cost_estimate, { total_cost: 25.5, plan_rows: 1, exceeds_limits: false });
+  assert.deepEqual(getUnmatchedPrompts(), []);
+});
+
+test('generate mode returns the SQL without running it', async () => {
+  executed.length = 0;
+  const result = await executeNaturalLanguageQueryTool({ nl_query: 'Count total users', mode: 'generate' }, appConfig);
+
+  assert.equal(result.mode, 'generate');
+  assert.equal(result.sql, 'SELECT COUNT(*) AS total FROM users');
+  assert.deepEqual(executed, []);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPiiColumns } from '../utils/piiDetector.js';
+import { resolveOutputColumns } from '../utils/sqlValidator.js';
+
+const detect = (rows, sql, options = {}) =>
+  detectPiiColumns(rows, { ...options, outputColumns: sql ? resolveOutputColumns(sql) : [] });
+
+test('classifies columns by name and leaves the rest alone', () => {
+  const { fields, report } = detect([{ email: 'x', mobile_number: 'x', city: 'Paris' }]);
+  assert.deepEqual(fields, { email: 'email-domain', mobile_number: 'last-4' });
+  assert.deepEqual(report.map(({ column, type, detectedBy }) => [column, type, detectedBy]),
+    [['email', 'email', 'name'], ['mobile_number', 'phone', 'name']]);
+});
+
+test('classifies aliased columns by the table column they are read from', () => {
+  const rows = [{ contact: 'n/a', e: 'ADA@EXAMPLE.COM', t: 'AB123456', label: 'Ada' }];
+  const { fields } = detect(rows,
+    "SELECT phone AS contact, upper(email) AS e, profile->>'tax_id' AS t, name AS label FROM users");
+  assert.deepEqual(fields, { contact: 'last-4', e: 'full', t: 'full' });
+});
+
+test('overrides apply to the table column behind an alias', () => {
+  const { fields } = detect([{ contact: 'n/a' }], 'SELECT phone AS contact FROM users', {
+    config: { overrides: { phone: false } }
+  });
+  assert.deepEqual(fields, {});
+});
+
+test('detects phone numbers stored as digits only', () => {
+  const rows = ['5551234567', '4155550123', '+4420794601010'].map(value => ({ value }));
+  assert.deepEqual(detect(rows).fields, { value: 'last-4' });
+  assert.deepEqual(detect([{ value: 5551234567 }, { value: '12345' }, { value: '2024-01-31' }]).fields, {});
+});
+
+test('privileged roles and disabled detection mask nothing', () => {
+  assert.deepEqual(detect([{ email: 'ada@example.com' }], null, { role: 'admin' }).fields, {});
+  assert.deepEqual(detect([{ email: 'ada@example.com' }], null, { config: { enabled: false } }).fields, {});
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeResultStats } from '../utils/resultStats.js';
+
+test('numeric columns get min, max, avg and sum', () => {
+  const { rowCount, columns } = computeResultStats([{ amount: 5 }, { amount: 15 }, { amount: null }]);
+  assert.equal(rowCount, 3);
+  assert.deepEqual(columns.amount, { type: 'numeric', count: 2, nulls: 1, min: 5, max: 15, avg: 10, sum: 20 });
+});
+
+test('date columns get the earliest and latest value', () => {
+  const { columns } = computeResultStats([{ day: '2024-03-01' }, { day: new Date('2024-01-15T00:00:00Z') }]);
+  assert.equal(columns.day.type, 'date');
+  assert.equal(columns.day.min, '2024-01-15T00:00:00.000Z');
+  assert.equal(columns.day.max, '2024-03-01T00:00:00.000Z');
+});
+
+test('categorical columns get distinct and top values', () => {
+  const { columns } = computeResultStats(
+    [{ status: 'paid' }, { status: 'open' }, { status: 'paid' }],
+    { topValues: 1 }
+  );
+  assert.equal(columns.status.distinct, 2);
+  assert.deepEqual(columns.status.top, [{ value: 'paid', count: 2 }]);
+});
+
+test('handles results too large to spread into Math.min', () => {
+  const rows = Array.from({ length: 300000 }, (_, i) => ({
+    amount: i - 1000,
+    created_at: new Date(Date.UTC(2024, 0, 1) + i * 1000)
+  }));
+  const { rowCount, columns } = computeResultStats(rows);
+  assert.equal(rowCount, 300000);
+  assert.equal(columns.amount.min, -1000);
+  assert.equal(columns.amount.max, 298999);
+  assert.equal(columns.created_at.min, '2024-01-01T00:00:00.000Z');
+  assert.equal(columns.created_at.max, new Date(Date.UTC(2024, 0, 1) + 299999 * 1000).toISOString());
+});
+
+test('ignores non-object rows', () => {
+  assert.deepEqual(computeResultStats([null, 3, 'x']), { rowCount: 0, columns: {} });
+  assert.deepEqual(computeResultStats(undefined), { rowCount: 0, columns: {} });
+});
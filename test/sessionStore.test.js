@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemorySessionStore,
+  setSessionStore,
+  loadSessionHistory,
+  recordSessionTurn,
+  sessionKey
+} from '../utils/sessionStore.js';
+
+const alice = { role: 'analyst', caller: { transport: 'http', user: 'alice', ip: '10.0.0.1' } };
+const turn = (question) => ({ question, sql: 'SELECT 1 AS one', results: [{ one: 1 }] });
+
+beforeEach(() => {
+  setSessionStore(createMemorySessionStore());
+});
+
+test('keeps the last maxTurns turns with the result shape, not the rows', async () => {
+  setSessionStore(createMemorySessionStore({ maxTurns: 2 }));
+  for (const question of ['q1', 'q2', 'q3']) {
+    await recordSessionTurn('s1', turn(question), {}, alice);
+  }
+  const history = await loadSessionHistory('s1', {}, alice);
+  assert.deepEqual(history.map(t => t.question), ['q2', 'q3']);
+  assert.deepEqual(history[0].columns, ['one']);
+  assert.equal(history[0].rowCount, 1);
+  assert.equal('results' in history[0], false);
+});
+
+test('another caller reusing the session id gets an empty history', async () => {
+  await recordSessionTurn('s1', turn('salaries by employee'), {}, alice);
+
+  const mallory = { role: 'analyst', caller: { transport: 'http', user: 'mallory', ip: '10.0.0.1' } };
+  const anonymous = { role: 'analyst', caller: { transport: 'http', ip: '10.0.0.2' } };
+  const guest = { role: 'guest', caller: alice.caller };
+  for (const owner of [mallory, anonymous, guest]) {
+    assert.deepEqual(await loadSessionHistory('s1', {}, owner), []);
+  }
+  assert.equal((await loadSessionHistory('s1', {}, alice)).length, 1);
+});
+
+test('anonymous callers are told apart by MCP session or IP address', () => {
+  const key = (caller) => sessionKey('s1', { role: 'guest', caller });
+  assert.notEqual(key({ transport: 'mcp-http', mcp_session: 'a' }), key({ transport: 'mcp-http', mcp_session: 'b' }));
+  assert.notEqual(key({ transport: 'http', ip: '10.0.0.1' }), key({ transport: 'http', ip: '10.0.0.2' }));
+  assert.equal(key({ transport: 'http', user: 'alice', ip: '1' }), key({ transport: 'json-rpc', user: 'alice', ip: '2' }));
+});
+
+test('sessions expire after ttlMinutes and the least recently used is evicted', async () => {
+  const store = createMemorySessionStore({ maxSessions: 2, ttlMinutes: 0 });
+  await store.append('a', { question: 'q' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.deepEqual(await store.get('a'), []);
+
+  const lru = createMemorySessionStore({ maxSessions: 2 });
+  await lru.append('a', { question: 'qa' });
+  await lru.append('b', { question: 'qb' });
+  await lru.append('a', { question: 'qa2' });
+  await lru.append('c', { question: 'qc' });
+  assert.deepEqual(await lru.get('b'), []);
+  assert.equal((await lru.get('a')).length, 2);
+});
+
+test('calls without a session id stay stateless', async () => {
+  await recordSessionTurn(undefined, turn('q'), {}, alice);
+  assert.deepEqual(await loadSessionHistory(undefined, {}, alice), []);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSql, validateSql, assertSafeSql, resolveOutputColumns } from '../utils/sqlValidator.js';
+
+const codesOf = (sql, options) => validateSql(sql, options).reasons.map(r => r.code);
+
+test('strips markdown fences and trailing semicolons', () => {
+  assert.equal(normalizeSql('```sql\nSELECT 1;\n```'), 'SELECT 1');
+  assert.equal(normalizeSql('  SELECT 1;;  '), 'SELECT 1');
+});
+
+test('accepts read-only SELECT and WITH queries', () => {
+  for (const sql of [
+    'SELECT id, name FROM users WHERE city = \'Paris\' ORDER BY name LIMIT 10',
+    'WITH recent AS (SELECT * FROM orders WHERE order_date > now() - interval \'30 days\') SELECT COUNT(*) FROM recent',
+    'SELECT u.name, SUM(o.total_amount) AS total FROM users u JOIN orders o ON o.user_id = u.id GROUP BY u.name'
+  ]) {
+    const result = validateSql(sql);
+    assert.equal(result.valid, true, `${sql}: ${JSON.stringify(result.reasons)}`);
+  }
+});
+
+test('lists the tables a query reads, without its CTEs', () => {
+  const { tables } = validateSql('WITH big AS (SELECT user_id FROM orders) SELECT name FROM users WHERE id IN (SELECT user_id FROM big)');
+  assert.deepEqual(tables.map(t => t.table).sort(), ['orders', 'users']);
+});
+
+test('rejects empty, unparsable and multiple statements', () => {
+  assert.deepEqual(codesOf('  ;  '), ['EMPTY_QUERY']);
+  assert.deepEqual(codesOf('SELEC name FROM users'), ['PARSE_ERROR']);
+  assert.ok(codesOf('SELECT 1; SELECT 2').includes('MULTIPLE_STATEMENTS'));
+});
+
+test('rejects writes, including ones hidden after a SELECT', () => {
+  assert.ok(codesOf('DELETE FROM users').includes('NOT_SELECT'));
+  assert.ok(codesOf('UPDATE users SET name = \'x\'').includes('NOT_SELECT'));
+  assert.ok(codesOf('SELECT 1; DROP TABLE users').includes('NOT_SELECT'));
+  assert.ok(codesOf('SELECT * INTO backup FROM users').includes('SELECT_INTO'));
+});
+
+test('rejects dangerous functions and configured ones', () => {
+  assert.deepEqual(codesOf('SELECT pg_sleep(10)'), ['DANGEROUS_FUNCTION']);
+  assert.deepEqual(codesOf('SELECT pg_read_file(\'/etc/passwd\')'), ['DANGEROUS_FUNCTION']);
+  assert.deepEqual(codesOf('SELECT set_config(\'role\', \'postgres\', false)'), ['DANGEROUS_FUNCTION']);
+  assert.deepEqual(codesOf('SELECT md5(name) FROM users', { deniedFunctions: ['md5'] }), ['DANGEROUS_FUNCTION']);
+  assert.equal(validateSql('SELECT md5(name) FROM users').valid, true);
+});
+
+test('assertSafeSql throws SQL_REJECTED with the reasons', () => {
+  assert.throws(() => assertSafeSql('SELECT pg_sleep(1)'), (error) =>
+    error.code === 'SQL_REJECTED' && error.reasons[0].code === 'DANGEROUS_FUNCTION');
+  assert.equal(assertSafeSql('SELECT 1;').sql, 'SELECT 1');
+});
+
+test('maps result columns to the table columns they are read from', () => {
+  const outputs = resolveOutputColumns(
+    "WITH c AS (SELECT phone AS p, upper(email) AS e FROM users) SELECT s.p AS contact, e, count(email) AS n FROM c s"
+  );
+  assert.deepEqual(outputs, [
+    { name: 'contact', sources: ['phone'], keys: [], derived: false },
+    { name: 'e', sources: ['email'], keys: [], derived: true }
+  ]);
+  assert.deepEqual(resolveOutputColumns("SELECT profile->>'tax_id' FROM users"),
+    [{ name: '?column?', sources: ['profile'], keys: ['tax_id'], derived: true }]);
+  assert.deepEqual(resolveOutputColumns('SELECT * FROM users'), []);
+});
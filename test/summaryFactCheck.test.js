@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSummaryNumbers, extractCitedNumbers } from '../utils/summaryFactCheck.js';
+import { computeResultStats } from '../utils/resultStats.js';
+
+const rows = [
+  { city: 'New York', users: 12 },
+  { city: 'Los Angeles', users: 8 },
+  { city: 'Chicago', users: 4 }
+];
+const check = (summary, question = '') => checkSummaryNumbers(summary, { rows, stats: computeResultStats(rows), question });
+
+test('accepts counts, totals, averages and shares', () => {
+  assert.deepEqual(check('3 cities have 24 users in total, 8 on average. New York has 50% of them.'), []);
+});
+
+test('accepts differences, ratios and percent changes between values', () => {
+  assert.deepEqual(check('New York has 12 users, 4 more than Los Angeles and 3 times as many as Chicago.'), []);
+  assert.deepEqual(check('Los Angeles has 50% more users than Chicago, and 33% fewer than New York.'), []);
+});
+
+test('flags numbers that follow from nothing in the result', () => {
+  assert.deepEqual(check('New York has 12 users, 15 more than Los Angeles.').map(w => w.text), ['15']);
+  assert.deepEqual(check('Chicago has 45% of all users.').map(w => w.text), ['45%']);
+});
+
+test('respects the cited precision and ignores numbers from the question', () => {
+  const big = [{ revenue: 1234567 }];
+  assert.deepEqual(checkSummaryNumbers('Revenue was about 1.2 million.', { rows: big, stats: computeResultStats(big) }), []);
+  assert.deepEqual(check('Top 5 cities: New York leads with 12 users.', 'top 5 cities by users'), []);
+});
+
+test('extracts numbers with their scale, skipping years and list markers', () => {
+  const cited = extractCitedNumbers('1. In 2024 revenue grew 12.5% to 3.4 million');
+  assert.deepEqual(cited.map(({ value, decimals, scale, percent }) => [value, decimals, scale, percent]),
+    [[12.5, 1, 1, true], [3.4, 1, 1e6, false]]);
+});
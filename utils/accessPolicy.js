@@ -0,0 +1,161 @@
+import { tableKey } from './schemaIntrospection.js';
+
+/**
+ * Role-based access policies for tables and columns.
+ *
+ * config.accessPolicies:
+ * {
+ *   "default": { "denyTables": ["auth.*"], "denyColumns": ["*.password_hash"] },
+ *   "roles": {
+ *     "guest": { "allowTables": ["products", "orders"], "allowColumns": ["orders.id", "orders.status"] },
+ *     "admin": {}
+ *   }
+ * }
+ *
+ * Tables are named like schema keys ("users" in public, "auth.users" elsewhere), columns
+ * as "table.column" (a bare "column" applies to every table). `*` matches anything.
+ * A role's deny lists add to the default ones; its allow lists replace them.
+ * allowColumns only restricts the tables it names.
+ */
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+const matchesAny = (patterns = [], value) => patterns.some(pattern => globToRegExp(pattern).test(value));
+
+// "users.email" → { table: 'users', column: 'email' }; "email" → { table: '*', column: 'email' }
+const splitColumnPattern = (pattern) => {
+  const dot = pattern.lastIndexOf('.');
+  return dot === -1
+    ? { table: '*', column: pattern }
+    : { table: pattern.slice(0, dot), column: pattern.slice(dot + 1) };
+};
+
+const columnPatternsFor = (patterns = [], key) =>
+  patterns.map(splitColumnPattern).filter(p => globToRegExp(p.table).test(key));
+
+/**
+ * Resolves the effective policy for a role, or null when no policies are configured.
+ */
+export const resolveAccessPolicy = (config = {}, role = 'guest') => {
+  const policies = config.accessPolicies;
+  if (!policies) return null;
+
+  const defaults = policies.default || {};
+  const rolePolicy = policies.roles?.[role] || {};
+  return {
+    role,
+    allowTables: rolePolicy.allowTables ?? defaults.allowTables ?? null,
+    denyTables: [...(defaults.denyTables || []), ...(rolePolicy.denyTables || [])],
+    allowColumns: rolePolicy.allowColumns ?? defaults.allowColumns ?? [],
+    denyColumns: [...(defaults.denyColumns || []), ...(rolePolicy.denyColumns || [])]
+  };
+};
+
+export const isTableAllowed = (policy, key) => {
+  if (!policy) return true;
+  if (matchesAny(policy.denyTables, key)) return false;
+  return !policy.allowTables || matchesAny(policy.allowTables, key);
+};
+
+export const isColumnAllowed = (policy, key, column) => {
+  if (!policy) return true;
+  if (columnPatternsFor(policy.denyColumns, key).some(p => globToRegExp(p.column).test(column))) return false;
+  const allowed = columnPatternsFor(policy.allowColumns, key);
+  return allowed.length === 0 || allowed.some(p => globToRegExp(p.column).test(column));
+};
+
+// Whether any column rule could apply to the table (used when its columns are unknown)
+const hasColumnRules = (policy, key) =>
+  columnPatternsFor(policy.denyColumns, key).length > 0 || columnPatternsFor(policy.allowColumns, key).length > 0;
+
+/**
+ * Returns a copy of the schema without the tables and columns the policy hides,
+ * so they never reach the prompt. Foreign keys to hidden objects are dropped too.
+ */
+export const filterSchemaForPolicy = (schema, policy) => {
+  if (!policy) return schema;
+
+  const visible = {};
+  Object.entries(schema).forEach(([key, table]) => {
+    if (!isTableAllowed(policy, key)) return;
+    const columns = (table.columns || []).filter(col => isColumnAllowed(policy, key, col.name));
+    if (columns.length === 0) return;
+    visible[key] = { ...table, columns };
+  });
+
+  Object.entries(visible).forEach(([key, table]) => {
+    const columnNames = new Set(table.columns.map(col => col.name));
+    visible[key] = {
+      ...table,
+      primaryKey: (table.primaryKey || []).filter(name => columnNames.has(name)),
+      foreignKeys: (table.foreignKeys || []).filter(fk =>
+        visible[fk.references.table] &&
+        fk.columns.every(name => columnNames.has(name)) &&
+        fk.references.columns.every(name => visible[fk.references.table].columns.some(col => col.name === name))
+      )
+    };
+  });
+
+  return visible;
+};
+
+const notPermitted = (policy, kind, name) => ({
+  code: 'NOT_PERMITTED',
+  message: `${kind} ${name} is not permitted for role "${policy.role}".`,
+  detail: name
+});
+
+/**
+ * Checks the tables and columns referenced by a validated query against the policy.
+ * @param {object} references - { tables, columns, rowReferences } from validateSql
+ * @param {object} policy - resolveAccessPolicy() result
+ * @param {object} schema - Full (unfiltered) schema, used to expand `*`
+ * @returns {Array<{code, message, detail}>} One reason per offending object
+ */
+export const findAccessViolations = ({ tables = [], columns = [], rowReferences = [] }, policy, schema = {}) => {
+  if (!policy) return [];
+
+  const reasons = [];
+  const reported = new Set();
+  const report = (kind, name) => {
+    if (reported.has(name)) return;
+    reported.add(name);
+    reasons.push(notPermitted(policy, kind, name));
+  };
+
+  const keys = [...new Set(tables.map(t => tableKey(t.schema || 'public', t.table)))];
+  keys.filter(key => !isTableAllowed(policy, key)).forEach(key => report('Table', key));
+
+  // `*` and whole-row references (row_to_json(u)) read every column of the table
+  const readsAllColumns = (key) => {
+    const known = schema[key]?.columns;
+    return known
+      ? known.every(col => isColumnAllowed(policy, key, col.name))
+      : !hasColumnRules(policy, key);
+  };
+
+  columns.forEach(({ table, column }) => {
+    // Unqualified columns are checked against every table in the query that has them
+    const candidates = table
+      ? keys.filter(key => key === table || key.endsWith(`.${table}`))
+      : keys.filter(key => column === '(.*)' || !schema[key] || schema[key].columns.some(col => col.name === column));
+    (candidates.length ? candidates : [table]).filter(Boolean).forEach(key => {
+      if (column === '(.*)') {
+        if (isTableAllowed(policy, key) && !readsAllColumns(key)) {
+          report('SELECT * on table', key);
+        }
+      } else if (isTableAllowed(policy, key) && !isColumnAllowed(policy, key, column)) {
+        report('Column', `${key}.${column}`);
+      }
+    });
+  });
+
+  rowReferences.forEach(key => {
+    if (isTableAllowed(policy, key) && !readsAllColumns(key)) {
+      report('Whole-row reference to table', key);
+    }
+  });
+
+  return reasons;
+};
@@ -1,7 +1,7 @@
-import axios from 'axios';
+import { llmProviders, resolveLlmSettings } from './llmProviders.js';
 
 import { config as loadEnv } from 'dotenv';
-loadEnv();
+loadEnv({ quiet: true });
 
 /**
  * Cleans a string that might contain markdown code blocks (e.g., ```json ... ```).
@@ -43,40 +43,24 @@ export const cleanMarkdownResponse = (text) => {
 };
 
 /**
- * Calls the OpenAI API to generate responses.
+ * Calls the configured LLM provider to generate responses.
+ * `task` selects per-task settings from config.llm.tasks (e.g. 'sql', 'summary').
+ * `sampler` is an MCP sampling provider (see createSamplingProvider); when given it
+ * replaces the configured provider unless config.llm.sampling is false.
  * Returns the AI-generated content as a string.
  */
-export const callAiApi = async (prompt, config) => {
-  // Use environment variable if available, fallback to config
-  const openaiApiKey = process.env.OPENAI_API_KEY || config.openaiApiKey;
+export const callAiApi = async (prompt, config, { task, sampler } = {}) => {
+  const settings = resolveLlmSettings(config, task);
 
-  const isValidApiKey = (key) =>
-    key && typeof key === 'string' && key.trim() !== '' && !key.startsWith('YOUR_');
+  if (sampler && settings.sampling !== false) {
+    return sampler({ ...settings, prompt, task });
+  }
 
-  // OpenAI
-  if (isValidApiKey(openaiApiKey)) {
-    try {
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: 'gpt-3.5-turbo',
-          messages: [{ role: 'user', content: prompt }],
-          temperature: 0.7,
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${openaiApiKey}`,
-          },
-          timeout: 8000,
-        }
-      );
-      if (response.data?.choices?.[0]?.message?.content)
-        return response.data.choices[0].message.content;
-    } catch (error) {
-      throw new Error('OpenAI API call failed: ' + error.message);
-    }
+  const provider = llmProviders[settings.provider];
+
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${settings.provider}". Supported providers: ${Object.keys(llmProviders).join(', ')}`);
   }
 
-  throw new Error('No valid OpenAI API key provided. Please set OPENAI_API_KEY environment variable or update config.json');
+  return provider({ ...settings, prompt, task });
 };
@@ -1,14 +1,33 @@
-export const generateQueryPrompt = (schemaString, dbType, userQuery, { language = "English", tone = "neutral" } = {}) => {
-  // Truncate schema if too long (e.g., >2000 chars)
-  let schemaForPrompt = schemaString;
-  if (schemaForPrompt.length > 2000) {
-    schemaForPrompt = schemaForPrompt.slice(0, 2000) + '\n... (truncated)';
-  }
+// Earlier turns of a conversation session, oldest first (see utils/sessionStore.js)
+const formatHistory = (history) =>
+  history
+    .map((turn, i) => [
+      `${i + 1}. Question: ${turn.question}`,
+      `   SQL: ${turn.sql.replace(/\s+/g, ' ')}`,
+      `   Result: ${turn.rowCount} row(s)${turn.columns.length ? ` with columns ${turn.columns.join(', ')}` : ''}`
+    ].join('\n'))
+    .join('\n');
 
-  return `
-You are a PostgreSQL assistant for Supabase. Use the following database schema:
-${schemaForPrompt}
+/**
+ * Builds the SQL generation prompt.
+ * `schemaString` should already be sized for the prompt (see selectRelevantSchema in schemaLinker.js).
+ * `history` holds the previous turns of the session so follow-up questions can refine them.
+ */
+export const generateQueryPrompt = (schemaString, dbType, userQuery, { language = "English", tone = "neutral", history = [] } = {}) => {
+  const conversation = history.length
+    ? `
+Earlier questions in this conversation:
+${formatHistory(history)}
+
+If the question below is a follow-up (e.g. "now only for last month", "break that down by city"),
+refine the most recent query instead of starting over.
+`
+    : '';
 
+  return `
+You are a PostgreSQL assistant for Supabase. Use the following database schema (only the tables relevant to the question are shown):
+${schemaString}
+${conversation}
 Generate a PostgreSQL query for:
 "${userQuery}"
 
@@ -23,17 +42,121 @@ SQL Query:
   `.trim();
 };
 
-export const generateResultSummaryPrompt = (userQuery, data, { language = 'English', tone = 'neutral' } = {}) => {
-  // Only send a sample of data if it's an array and large
-  let dataForPrompt = data;
-  if (Array.isArray(data) && data.length > 10) {
-    dataForPrompt = data.slice(0, 10);
-  }
+/**
+ * Builds the prompt asking the LLM whether a question is too ambiguous to answer
+ * with the given schema. The model replies with JSON (see utils/clarification.js).
+ */
+export const generateClarificationPrompt = (schemaString, userQuery, { history = [] } = {}) => {
+  const conversation = history.length
+    ? `\nEarlier questions in this conversation (they may already resolve the ambiguity):\n${formatHistory(history)}\n`
+    : '';
+
+  return `
+You help turn questions into PostgreSQL queries. Use the following database schema:
+${schemaString}
+${conversation}
+Decide whether this question can be answered without guessing, for:
+"${userQuery}"
+
+A question is ambiguous only when reasonable readings would produce different queries with this schema,
+e.g. "top customers" (by revenue or by order count? over which period?).
+Do not ask about details that have an obvious default (such as a LIMIT).
+
+Respond ONLY with JSON, no markdown:
+{"ambiguous": false}
+or
+{"ambiguous": true, "question": "<one short clarifying question>", "dimensions": [
+  {"name": "<snake_case key>", "question": "<what to choose>", "options": ["<option>", "<option>"]}
+]}
+Use at most 3 dimensions with 2-5 options each, phrased in terms of the schema.
+  `.trim();
+};
+
+/**
+ * Builds the prompt asking the LLM to fix a query that failed validation or execution.
+ * `previousAttempts` are the earlier [{ sql, error }] so the model does not repeat them.
+ */
+export const generateRepairPrompt = (schemaString, dbType, userQuery, previousAttempts) => {
+  const failures = previousAttempts
+    .map((attempt, i) => `Attempt ${i + 1}:\n${attempt.sql}\nError: ${attempt.error}`)
+    .join('\n\n');
+
+  return `
+You are a PostgreSQL assistant for Supabase. Use the following database schema (only the tables relevant to the question are shown):
+${schemaString}
+
+Fix the PostgreSQL query for:
+"${userQuery}"
+
+Previous queries failed:
+${failures}
+
+Requirements:
+- Correct the error reported by the database (check table and column names against the schema)
+- Use only SELECT statements (no INSERT, UPDATE, DELETE, DROP, etc.)
+- Respond ONLY with the corrected PostgreSQL SQL - no markdown, no explanation, no code blocks
+
+SQL Query:
+  `.trim();
+};
+
+/**
+ * Builds the summarization prompt from masked rows and server-side statistics
+ * (see computeResultStats in resultStats.js). Raw rows must never be passed here:
+ * the prompt goes to a third-party API.
+ */
+export const generateResultSummaryPrompt = (userQuery, maskedRows, { language = 'English', tone = 'neutral', stats } = {}) => {
+  // Only send a sample of the (masked) rows; the statistics cover the full result
+  const sample = Array.isArray(maskedRows) ? maskedRows.slice(0, 10) : maskedRows;
+  const rowCount = stats?.rowCount ?? (Array.isArray(maskedRows) ? maskedRows.length : 1);
+
   return `
 Summarize this database result for:
 "${userQuery}"
-Data:
-${JSON.stringify(dataForPrompt, null, 2)}
+Statistics computed over all ${rowCount} row(s), one line per column:
+${Object.entries(stats?.columns ?? {}).map(([name, columnStats]) => `- ${name}: ${JSON.stringify(columnStats)}`).join('\n')}
+Sample rows (sensitive values are masked):
+${JSON.stringify(sample, null, 2)}
+Use the statistics for counts, totals, averages and ranges; the sample only shows a few rows.
+Do not try to guess masked values.
 Reply only with a ${tone}, human-readable summary in ${language}.
   `.trim();
 };
+
+/**
+ * Builds the prompt asking the LLM to correct the numbers in a summary that
+ * failed the fact-check (see utils/summaryFactCheck.js).
+ */
+export const generateSummaryRepairPrompt = (userQuery, summary, warnings, stats, { language = 'English', tone = 'neutral' } = {}) => {
+  return `
+Correct the numbers in this summary of a database result for:
+"${userQuery}"
+Summary:
+${summary}
+These numbers are not supported by the data:
+${warnings.map(w => `- ${w.text}`).join('\n')}
+Statistics computed over all ${stats.rowCount} row(s), one line per column:
+${Object.entries(stats.columns).map(([name, columnStats]) => `- ${name}: ${JSON.stringify(columnStats)}`).join('\n')}
+Use only numbers that follow from the statistics; remove a claim if it cannot be supported.
+Reply only with the corrected ${tone}, human-readable summary in ${language}.
+  `.trim();
+};
+
+/**
+ * Builds the prompt asking the LLM which chart fits a result (see utils/chartSpec.js).
+ * Only column names and types are sent, no values.
+ */
+export const generateChartPrompt = (userQuery, fields, recommended) => {
+  return `
+Choose a chart that presents the database result for:
+"${userQuery}"
+Result columns (Vega-Lite types):
+${Object.entries(fields).map(([name, field]) => `- ${name}: ${field.type}${field.distinct ? ` (${field.distinct} distinct values)` : ''}`).join('\n')}
+Suggested from the column types: ${recommended ? JSON.stringify(recommended) : 'none'}
+Chart types: "line" (x temporal or quantitative, y quantitative), "bar" (x nominal or temporal, y quantitative),
+"scatter" (x and y quantitative). "color" is optional and must be a nominal column.
+Respond ONLY with JSON, no markdown, using the column names above:
+{"type": "<line|bar|scatter>", "x": "<column>", "y": "<column>", "color": "<column>"}
+or {"chart": null} to keep the suggestion.
+  `.trim();
+};
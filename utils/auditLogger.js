@@ -1,32 +1,209 @@
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
 
-const AUDIT_LOG_DIR = path.resolve(process.cwd(), 'logs');
-const AUDIT_LOG_FILE = path.join(AUDIT_LOG_DIR, 'audit.log');
+/**
+ * Audit trail: one JSON line per query in logs/audit.log.
+ *
+ * config.audit:
+ * {
+ *   "enabled": true,
+ *   "file": "logs/audit.log",
+ *   "maxSizeMB": 10,       // rotate to audit.log.1, audit.log.2, ... beyond this size
+ *   "maxFiles": 5,         // rotated files to keep
+ *   "retentionDays": 30    // rotated files older than this are deleted
+ * }
+ */
 
-// Ensure logs directory exists
-if (!fs.existsSync(AUDIT_LOG_DIR)) {
-  fs.mkdirSync(AUDIT_LOG_DIR, { recursive: true });
-}
+const log = createLogger('AuditLogger');
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  file: 'logs/audit.log',
+  maxSizeMB: 10,
+  maxFiles: 5,
+  retentionDays: 30
+};
+
+// Writes are chained so rotation never races with an append
+let writeQueue = Promise.resolve();
+const prunedFiles = new Set();
+
+export const resolveAuditOptions = (options = {}) => {
+  const resolved = { ...DEFAULT_OPTIONS, ...options };
+  return { ...resolved, file: path.resolve(process.cwd(), process.env.AUDIT_LOG_FILE || resolved.file) };
+};
+
+const fileSize = async (file) => {
+  try {
+    return (await fs.promises.stat(file)).size;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Rotated files of an audit log, newest first: audit.log.1, audit.log.2, ...
+ */
+export const listRotatedFiles = async (file) => {
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+  let names = [];
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .map(name => ({ name, index: Number(name.slice(base.length + 1)) }))
+    .filter(({ name, index }) => name.startsWith(`${base}.`) && Number.isInteger(index) && index > 0)
+    .sort((a, b) => a.index - b.index)
+    .map(({ name, index }) => ({ path: path.join(dir, name), index }));
+};
+
+// Drops rotated files beyond maxFiles or older than retentionDays
+const pruneRotatedFiles = async ({ file, maxFiles, retentionDays }) => {
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  for (const rotated of await listRotatedFiles(file)) {
+    const stat = await fs.promises.stat(rotated.path).catch(() => null);
+    if (rotated.index > maxFiles || (stat && retentionDays > 0 && stat.mtimeMs < cutoff)) {
+      await fs.promises.rm(rotated.path, { force: true });
+    }
+  }
+};
+
+const rotate = async (options) => {
+  const { file, maxFiles } = options;
+  const rotated = await listRotatedFiles(file);
+  // Shift from the oldest down so nothing is overwritten: .2 → .3, .1 → .2, current → .1
+  for (const { path: rotatedPath, index } of [...rotated].reverse()) {
+    if (index >= maxFiles) {
+      await fs.promises.rm(rotatedPath, { force: true });
+    } else {
+      await fs.promises.rename(rotatedPath, `${file}.${index + 1}`);
+    }
+  }
+  if (maxFiles > 0) {
+    await fs.promises.rename(file, `${file}.1`);
+  } else {
+    await fs.promises.rm(file, { force: true });
+  }
+  await pruneRotatedFiles(options);
+};
+
+const writeLine = async (line, options) => {
+  const { file, maxSizeMB } = options;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  // Retention also applies to files rotated by an earlier run
+  if (!prunedFiles.has(file)) {
+    prunedFiles.add(file);
+    await pruneRotatedFiles(options);
+  }
+
+  const size = await fileSize(file);
+  if (size > 0 && size + Buffer.byteLength(line) > maxSizeMB * 1024 * 1024) {
+    await rotate(options);
+  }
+  await fs.promises.appendFile(file, line);
+};
 
 /**
  * Logs an audit entry for a tool/NL API call.
- * @param {object} entry - Audit record { user, method, params, result, role, status, ts }
+ * @param {object} entry - Audit record { caller, role, nl_query, sql, status, ... }
+ * @param {object} options - config.audit
+ * @returns {Promise<void>} Resolves once written; never rejects
  */
-export async function logAudit(entry = {}) {
+export async function logAudit(entry = {}, options = {}) {
+  const resolved = resolveAuditOptions(options);
+  if (!resolved.enabled) return;
+
+  let line;
   try {
-    const line = JSON.stringify({
+    line = JSON.stringify({
       ts: new Date().toISOString(),
+      id: crypto.randomUUID(),
       ...entry
     }) + '\n';
-
-    fs.appendFile(AUDIT_LOG_FILE, line, err => {
-      if (err) {
-        // Don't crash main thread on logging error
-        console.warn('[AuditLogger] Could not write log:', err.message);
-      }
-    });
   } catch (err) {
-    console.warn('[AuditLogger] Logging error:', err.message);
+    log.warn('Logging error', { error: err.message });
+    return;
   }
+
+  writeQueue = writeQueue
+    .then(() => writeLine(line, resolved))
+    .catch(err => {
+      // Don't crash main thread on logging error
+      log.warn('Could not write log', { error: err.message });
+    });
+  return writeQueue;
 }
+
+// JSON with sorted keys, so { a, b } and { b, a } hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Fingerprint of a result set, independent of row order (queries without ORDER BY
+ * may return rows in any order). Lets replays compare results without logging rows.
+ * @returns {string} sha256 hex digest
+ */
+export const fingerprintRows = (rows) => {
+  const rowHashes = (Array.isArray(rows) ? rows : [rows])
+    .map(row => crypto.createHash('sha256').update(canonicalJson(row)).digest('hex'))
+    .sort();
+  return crypto.createHash('sha256').update(rowHashes.join('\n')).digest('hex');
+};
+
+const toAuditError = (error) => ({
+  message: error.message,
+  ...(error.code ? { code: error.code } : {}),
+  ...(error.reasons ? { reasons: error.reasons } : {})
+});
+
+/**
+ * Collects one audit record across the stages of a query.
+ *  - set(fields)       adds fields to the record
+ *  - time(stage, fn)   runs fn and adds its duration to latency_ms[stage]
+ *  - finish(status, error?) writes the record with the total duration
+ * @param {object} base - Initial fields, e.g. { caller, role, nl_query }
+ * @param {object} options - config.audit
+ */
+export const startAuditTrail = (base = {}, options = {}) => {
+  const startedAt = Date.now();
+  const record = { ...base, latency_ms: {} };
+
+  return {
+    set: (fields) => Object.assign(record, fields),
+    time: async (stage, fn) => {
+      const stageStart = Date.now();
+      try {
+        return await fn();
+      } finally {
+        record.latency_ms[stage] = (record.latency_ms[stage] || 0) + Date.now() - stageStart;
+      }
+    },
+    finish: (status, error) => {
+      record.latency_ms.total = Date.now() - startedAt;
+      return logAudit({ ...record, status, ...(error ? { error: toAuditError(error) } : {}) }, options);
+    }
+  };
+};
+
+/**
+ * Caller identity of an Express request.
+ * @param {object} req - Express request (req.user is set by an auth middleware, if any)
+ * @param {string} transport - 'http' or 'json-rpc'
+ */
+export const describeHttpCaller = (req, transport) => ({
+  transport,
+  user: req.user?.id ?? req.user?.email ?? req.user?.name ?? null,
+  ip: req.ip,
+  user_agent: req.get?.('user-agent')
+});
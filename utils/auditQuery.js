@@ -0,0 +1,141 @@
+import fs from 'fs';
+import readline from 'readline';
+import { resolveAuditOptions, listRotatedFiles } from './auditLogger.js';
+import { validateSql } from './sqlValidator.js';
+
+/**
+ * Reading, filtering and aggregating audit records (see utils/auditLogger.js),
+ * for the audit CLI (audit-cli.js).
+ */
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses an ISO date or a duration before now ('30m', '24h', '7d', '2w').
+ * @returns {Date}
+ */
+export const parseTimeBound = (value, now = Date.now()) => {
+  const relative = /^(\d+)([mhdw])$/.exec(String(value).trim());
+  if (relative) return new Date(now - Number(relative[1]) * DURATION_UNITS[relative[2]]);
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid time "${value}". Use an ISO date or a duration such as 30m, 24h, 7d.`);
+  }
+  return date;
+};
+
+const readLines = async function* (file) {
+  const stream = fs.createReadStream(file, { encoding: 'utf8' });
+  try {
+    yield* readline.createInterface({ input: stream, crlfDelay: Infinity });
+  } finally {
+    stream.destroy();
+  }
+};
+
+/**
+ * Reads every audit record, oldest first: rotated files (audit.log.N ... audit.log.1), then the current log.
+ * Lines that are not valid JSON are skipped.
+ * @param {object} options - config.audit
+ * @returns {Promise<Array<object>>}
+ */
+export const readAuditRecords = async (options = {}) => {
+  const { file } = resolveAuditOptions(options);
+  const files = [...(await listRotatedFiles(file)).reverse().map(rotated => rotated.path), file]
+    .filter(candidate => fs.existsSync(candidate));
+
+  const records = [];
+  for (const candidate of files) {
+    for await (const line of readLines(candidate)) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Partially written line (e.g. after a crash)
+      }
+    }
+  }
+  return records;
+};
+
+/**
+ * Tables referenced by the SQL of a record ('users', 'auth.users'), falling back to
+ * the last attempt when the final SQL is missing (failed queries).
+ */
+export const tablesOf = (record) => {
+  const sql = record.sql || record.attempts?.at(-1)?.sql || record.generated_sql;
+  if (!sql) return [];
+  const { tables } = validateSql(sql);
+  return [...new Set(tables.map(({ schema, table }) => (schema && schema !== 'public' ? `${schema}.${table}` : table)))];
+};
+
+export const isErrorRecord = (record) => record.status === 'error' || record.status === 'invalid_params';
+
+const userOf = (record) => record.caller?.user ?? `(${record.caller?.transport || 'unknown'})`;
+
+/**
+ * Filters audit records.
+ * @param {Array<object>} records
+ * @param {object} filters - { user, role, transport, since, until, table, errors, status, text }
+ */
+export const filterAuditRecords = (records, { user, role, transport, since, until, table, errors, status, text } = {}) => {
+  const from = since ? parseTimeBound(since) : null;
+  const to = until ? parseTimeBound(until) : null;
+  const tableName = table?.toLowerCase();
+  const needle = text?.toLowerCase();
+
+  return records.filter(record => {
+    const ts = new Date(record.ts);
+    if (from && ts < from) return false;
+    if (to && ts > to) return false;
+    if (user && String(record.caller?.user ?? '') !== user) return false;
+    if (role && record.role !== role) return false;
+    if (transport && record.caller?.transport !== transport) return false;
+    if (status && record.status !== status) return false;
+    if (errors && !isErrorRecord(record)) return false;
+    if (needle && !String(record.nl_query ?? '').toLowerCase().includes(needle)) return false;
+    if (tableName && !tablesOf(record).some(name => name.toLowerCase() === tableName)) return false;
+    return true;
+  });
+};
+
+const addUsage = (usage, key, record) => {
+  const entry = usage.get(key) || { queries: 0, errors: 0, rows: 0, totalLatencyMs: 0, users: new Set() };
+  entry.queries += 1;
+  if (isErrorRecord(record)) entry.errors += 1;
+  entry.rows += record.row_count || 0;
+  entry.totalLatencyMs += record.latency_ms?.total || 0;
+  entry.users.add(userOf(record));
+  usage.set(key, entry);
+};
+
+const toUsageRows = (usage) =>
+  [...usage.entries()]
+    .map(([key, entry]) => ({
+      key,
+      queries: entry.queries,
+      errors: entry.errors,
+      rows: entry.rows,
+      avg_latency_ms: Math.round(entry.totalLatencyMs / entry.queries),
+      users: entry.users.size
+    }))
+    .sort((a, b) => b.queries - a.queries || a.key.localeCompare(b.key));
+
+/**
+ * Per-user and per-table usage of a set of audit records.
+ * @returns {{ total: number, errors: number, byUser: Array<object>, byTable: Array<object> }}
+ */
+export const summarizeAuditRecords = (records) => {
+  const byUser = new Map();
+  const byTable = new Map();
+  records.forEach(record => {
+    addUsage(byUser, userOf(record), record);
+    tablesOf(record).forEach(table => addUsage(byTable, table, record));
+  });
+  return {
+    total: records.length,
+    errors: records.filter(isErrorRecord).length,
+    byUser: toUsageRows(byUser),
+    byTable: toUsageRows(byTable)
+  };
+};
@@ -0,0 +1,193 @@
+import { callAiApi, cleanMarkdownResponse } from './aiHelpers.js';
+import { generateChartPrompt } from './aiPrompts.js';
+import { computeResultStats } from './resultStats.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Vega-Lite chart specifications for query results.
+ *
+ * The chart follows the shape of the result:
+ *  - a date column and a measure       → line (split by a low-cardinality category, if any)
+ *  - a category and a measure          → bar
+ *  - two measures                      → scatter
+ * The LLM may suggest a different chart ({ type, x, y, color }), but a suggestion is
+ * only used when its fields exist in the result and fit the chart type.
+ *
+ * config.charts:
+ * { "llmSuggestions": true, "maxRows": 5000, "maxColorCategories": 10 }
+ */
+
+const log = createLogger('Chart');
+
+const DEFAULT_OPTIONS = {
+  llmSuggestions: true,
+  maxRows: 5000,
+  maxColorCategories: 10
+};
+
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+
+export const CHART_TYPES = ['line', 'bar', 'scatter'];
+
+// Vega-Lite encoding type per resultStats column type
+const ENCODING_TYPES = {
+  numeric: 'quantitative',
+  date: 'temporal',
+  categorical: 'nominal',
+  boolean: 'nominal'
+};
+
+// Encoding types each channel accepts, per chart type
+const CHANNEL_RULES = {
+  line: { x: ['temporal', 'quantitative'], y: ['quantitative'] },
+  bar: { x: ['nominal', 'temporal'], y: ['quantitative'] },
+  scatter: { x: ['quantitative'], y: ['quantitative'] }
+};
+
+const MARKS = { line: 'line', bar: 'bar', scatter: 'point' };
+
+/**
+ * Encoding type of every chartable column; nested values and all-null columns are left out.
+ */
+const fieldsFromStats = (stats) =>
+  Object.fromEntries(Object.entries(stats.columns)
+    .filter(([, column]) => ENCODING_TYPES[column.type])
+    .map(([name, column]) => [name, { type: ENCODING_TYPES[column.type], distinct: column.distinct }]));
+
+const namesOfType = (fields, type) => Object.keys(fields).filter(name => fields[name].type === type);
+
+/**
+ * Picks a chart from the result shape alone.
+ * @returns {object|null} { type, x, y, color? }, or null when nothing fits
+ */
+export const recommendChart = (fields, { maxColorCategories = DEFAULT_OPTIONS.maxColorCategories } = {}) => {
+  const dates = namesOfType(fields, 'temporal');
+  const measures = namesOfType(fields, 'quantitative');
+  const categories = namesOfType(fields, 'nominal');
+
+  if (dates.length && measures.length) {
+    const color = categories.find(name => fields[name].distinct > 1 && fields[name].distinct <= maxColorCategories);
+    return { type: 'line', x: dates[0], y: measures[0], ...(color ? { color } : {}) };
+  }
+  if (categories.length && measures.length) {
+    return { type: 'bar', x: categories[0], y: measures[0] };
+  }
+  if (measures.length >= 2) {
+    return { type: 'scatter', x: measures[0], y: measures[1] };
+  }
+  return null;
+};
+
+/**
+ * Checks a suggested chart against the actual result columns.
+ * @returns {string[]} Reasons the suggestion cannot be used (empty when it is valid)
+ */
+export const validateChartSuggestion = (suggestion, fields) => {
+  if (!suggestion || !CHART_TYPES.includes(suggestion.type)) {
+    return [`Chart type must be one of: ${CHART_TYPES.join(', ')}.`];
+  }
+  const reasons = [];
+  const rules = CHANNEL_RULES[suggestion.type];
+  ['x', 'y'].forEach(channel => {
+    const name = suggestion[channel];
+    if (!fields[name]) {
+      reasons.push(`${channel} field "${name}" is not a chartable column of the result.`);
+    } else if (!rules[channel].includes(fields[name].type)) {
+      reasons.push(`${channel} field "${name}" is ${fields[name].type}; a ${suggestion.type} chart needs ${rules[channel].join(' or ')}.`);
+    }
+  });
+  if (suggestion.color !== undefined && suggestion.color !== null) {
+    if (!fields[suggestion.color]) {
+      reasons.push(`color field "${suggestion.color}" is not a chartable column of the result.`);
+    } else if (fields[suggestion.color].type !== 'nominal') {
+      reasons.push(`color field "${suggestion.color}" must be a category.`);
+    }
+  }
+  if (suggestion.x === suggestion.y) {
+    reasons.push('x and y must be different fields.');
+  }
+  return reasons;
+};
+
+// Accepts { type, x, y, color } or { chart: null } (no suggestion)
+const parseSuggestion = (raw) => {
+  try {
+    const parsed = JSON.parse(cleanMarkdownResponse(String(raw)));
+    const suggestion = parsed && 'chart' in parsed ? parsed.chart : parsed;
+    if (!suggestion || typeof suggestion !== 'object') return null;
+    const { type, x, y, color } = suggestion;
+    return { type, x, y, ...(color ? { color } : {}) };
+  } catch {
+    return null;
+  }
+};
+
+const toDataValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Builds the Vega-Lite spec for a chosen chart; the data is inlined, charted fields only.
+ */
+export const buildVegaLiteSpec = (chart, rows, fields, { title, maxRows = DEFAULT_OPTIONS.maxRows } = {}) => {
+  const names = [chart.x, chart.y, chart.color].filter(Boolean);
+  const values = rows.slice(0, maxRows).map(row => Object.fromEntries(names.map(name => [name, toDataValue(row[name])])));
+  const encode = (name) => ({ field: name, type: fields[name].type, title: name.replace(/_/g, ' ') });
+
+  return {
+    $schema: VEGA_LITE_SCHEMA,
+    ...(title ? { title } : {}),
+    ...(rows.length > maxRows ? { description: `First ${maxRows} of ${rows.length} rows.` } : {}),
+    data: { values },
+    mark: { type: MARKS[chart.type], tooltip: true, ...(chart.type === 'line' ? { point: true } : {}) },
+    encoding: {
+      x: chart.type === 'bar' ? { ...encode(chart.x), sort: '-y' } : encode(chart.x),
+      y: encode(chart.y),
+      ...(chart.color ? { color: encode(chart.color) } : {})
+    }
+  };
+};
+
+/**
+ * Chooses and builds a chart for the (masked) result rows.
+ * Only column names and types reach the LLM, never values.
+ * @param {object} context - { rows, question, appConfig, sampler }
+ * @returns {Promise<object|null>} { type, chosen_by: 'llm'|'shape', spec, rejected_suggestion? },
+ *   or null when the result cannot be charted
+ */
+export const generateChartSpec = async ({ rows, question, appConfig = {}, sampler }) => {
+  const { llmSuggestions, maxRows, maxColorCategories } = { ...DEFAULT_OPTIONS, ...appConfig.charts };
+  // Numbers arrive as numbers (see NUMERIC_TYPE_OIDS in dbHelpers.js); numeric-looking
+  // strings such as zip codes or order numbers stay categories
+  const records = (Array.isArray(rows) ? rows : []).filter(row => row && typeof row === 'object');
+  if (records.length === 0) return null;
+
+  const fields = fieldsFromStats(computeResultStats(records, { topValues: 0 }));
+  const fallback = recommendChart(fields, { maxColorCategories });
+
+  let chart = fallback;
+  let chosenBy = 'shape';
+  let rejected;
+  if (llmSuggestions && Object.keys(fields).length >= 2) {
+    try {
+      const raw = await callAiApi(generateChartPrompt(question, fields, fallback), appConfig, { task: 'chart', sampler });
+      const suggestion = parseSuggestion(raw);
+      const reasons = suggestion ? validateChartSuggestion(suggestion, fields) : [];
+      if (suggestion && reasons.length === 0) {
+        chart = suggestion;
+        chosenBy = 'llm';
+      } else if (suggestion) {
+        rejected = { suggestion, reasons };
+        log.warn('Ignoring LLM chart suggestion', { reasons });
+      }
+    } catch (error) {
+      log.warn('Chart suggestion failed, using the result shape', { error: error.message });
+    }
+  }
+
+  if (!chart) return null;
+  return {
+    type: chart.type,
+    chosen_by: chosenBy,
+    spec: buildVegaLiteSpec(chart, records, fields, { title: question, maxRows }),
+    ...(rejected ? { rejected_suggestion: rejected } : {})
+  };
+};
@@ -0,0 +1,101 @@
+import { callAiApi, cleanMarkdownResponse } from './aiHelpers.js';
+import { generateClarificationPrompt } from './aiPrompts.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Clarifying questions for ambiguous requests ("show top customers": by revenue or
+ * order count? which period?).
+ *
+ * Only questions containing a vague word are sent to the LLM for a decision, so
+ * precise questions cost no extra call. A clarification looks like:
+ * {
+ *   question: 'How should customers be ranked?',
+ *   dimensions: [{ name: 'metric', question: 'Rank by', options: ['total revenue', 'order count'] }]
+ * }
+ * Callers answer it with `clarifications`: { metric: 'total revenue' }.
+ */
+
+const log = createLogger('Clarification');
+
+const DEFAULT_TRIGGER_WORDS = [
+  'top', 'best', 'worst', 'most', 'least', 'biggest', 'largest', 'smallest', 'highest', 'lowest',
+  'popular', 'recent', 'latest', 'active', 'inactive', 'important', 'valuable', 'loyal', 'big', 'small'
+];
+
+const MAX_DIMENSIONS = 3;
+const MAX_OPTIONS = 5;
+
+const mightBeAmbiguous = (nlQuery, triggerWords) => {
+  const words = new Set(nlQuery.toLowerCase().split(/[^a-z0-9]+/));
+  return triggerWords.some(word => words.has(word));
+};
+
+// Keeps only well-formed dimensions; returns null when nothing usable is left
+const parseClarification = (raw) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(cleanMarkdownResponse(String(raw)));
+  } catch {
+    return null;
+  }
+  if (!parsed?.ambiguous) return null;
+
+  const dimensions = (Array.isArray(parsed.dimensions) ? parsed.dimensions : [])
+    .filter(d => d && typeof d.name === 'string' && Array.isArray(d.options))
+    .slice(0, MAX_DIMENSIONS)
+    .map(d => ({
+      name: d.name.replace(/[^A-Za-z0-9_]/g, '_'),
+      question: String(d.question || d.name),
+      options: d.options.map(String).filter(Boolean).slice(0, MAX_OPTIONS)
+    }))
+    .filter(d => d.options.length >= 2);
+
+  if (dimensions.length === 0) return null;
+  return { question: String(parsed.question || 'Please clarify your question.'), dimensions };
+};
+
+/**
+ * Asks the LLM whether the question is ambiguous for this schema.
+ * Detection never blocks a query: disabled, non-vague or unparseable cases return null.
+ * @param {object} context - { nlQuery, ddl, history, appConfig, sampler }
+ * @returns {Promise<object|null>} The clarification to ask, or null
+ */
+export const detectAmbiguity = async ({ nlQuery, ddl, history = [], appConfig = {}, sampler }) => {
+  const { enabled = true, triggerWords = DEFAULT_TRIGGER_WORDS } = appConfig.clarification || {};
+  if (!enabled || !mightBeAmbiguous(nlQuery, triggerWords)) return null;
+
+  try {
+    const raw = await callAiApi(generateClarificationPrompt(ddl, nlQuery, { history }), appConfig, { task: 'clarify', sampler });
+    return parseClarification(raw);
+  } catch (error) {
+    log.warn('Ambiguity check failed, continuing without it', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * MCP elicitation schema for a clarification: one enum property per dimension.
+ */
+export const toElicitationRequest = (clarification) => ({
+  message: clarification.question,
+  requestedSchema: {
+    type: 'object',
+    properties: Object.fromEntries(clarification.dimensions.map(d => [
+      d.name,
+      { type: 'string', title: d.question, enum: d.options }
+    ])),
+    required: clarification.dimensions.map(d => d.name)
+  }
+});
+
+/**
+ * Appends the caller's answers to the question so SQL generation can use them.
+ * Transports validate `clarifications` as an object of strings; anything else is ignored here.
+ */
+export const applyClarifications = (nlQuery, clarifications = {}) => {
+  if (!clarifications || typeof clarifications !== 'object' || Array.isArray(clarifications)) return nlQuery;
+  const answers = Object.entries(clarifications)
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim())
+    .map(([name, value]) => `${name.replace(/_/g, ' ')}: ${value}`);
+  return answers.length ? `${nlQuery} (${answers.join('; ')})` : nlQuery;
+};
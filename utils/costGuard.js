@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+/**
+ * Query cost guard: generated SQL is planned with EXPLAIN (FORMAT JSON) before it runs,
+ * so an accidental cross join is stopped before it reaches the database.
+ *
+ * config.costGuard:
+ * {
+ *   "enabled": true,
+ *   "maxCost": 1000000,   // planner cost units (Total Cost of the top plan node)
+ *   "maxRows": 100000,    // estimated rows returned (Plan Rows of the top plan node)
+ *   "action": "reject",   // reject | confirm (ask the user before running it)
+ *   "requireExplain": false // refuse to run queries that cannot be planned (no explain_sql RPC)
+ * }
+ * Estimates are the planner's guesses from table statistics, not measurements.
+ * executeDbQuery (utils/dbHelpers.js) applies the guard to every query it runs.
+ */
+
+const log = createLogger('Cost Guard');
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  maxCost: 1000000,
+  maxRows: 100000,
+  action: 'reject',
+  requireExplain: false
+};
+
+export const COST_GUARD_ACTIONS = ['reject', 'confirm'];
+
+export const resolveCostGuardOptions = (appConfig = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...appConfig.costGuard };
+  return COST_GUARD_ACTIONS.includes(options.action) ? options : { ...options, action: DEFAULT_OPTIONS.action };
+};
+
+/**
+ * Limits an estimate exceeds.
+ * @returns {Array<{code: string, message: string}>} Empty when the query is within the limits
+ */
+export const checkQueryCost = ({ total_cost, plan_rows }, { maxCost, maxRows } = DEFAULT_OPTIONS) => {
+  const reasons = [];
+  if (maxCost > 0 && total_cost > maxCost) {
+    reasons.push({ code: 'COST_TOO_HIGH', message: `Estimated cost ${total_cost} exceeds the limit of ${maxCost}.` });
+  }
+  if (maxRows > 0 && plan_rows > maxRows) {
+    reasons.push({ code: 'TOO_MANY_ROWS', message: `Estimated ${plan_rows} rows exceed the limit of ${maxRows}.` });
+  }
+  return reasons;
+};
+
+/**
+ * Cost estimate of an EXPLAIN (FORMAT JSON) plan, as reported in responses.
+ * @returns {{ total_cost: number, plan_rows: number, exceeds_limits: boolean }}
+ */
+export const estimateQueryCost = (plan, options = DEFAULT_OPTIONS) => {
+  const estimate = {
+    total_cost: Number(plan?.Plan?.['Total Cost']) || 0,
+    plan_rows: Number(plan?.Plan?.['Plan Rows']) || 0
+  };
+  return { ...estimate, exceeds_limits: checkQueryCost(estimate, options).length > 0 };
+};
+
+/**
+ * Identifies the exact query a caller confirmed: needs_confirmation responses carry it as
+ * `sql_hash` and the caller sends it back in `confirm_cost`.
+ */
+export const hashQuery = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+const toConfirmationRequest = (reasons) => ({
+  message: `This query may be expensive. ${reasons.map(r => r.message).join(' ')} Run it anyway?`,
+  requestedSchema: {
+    type: 'object',
+    properties: { run: { type: 'boolean', title: 'Run the query' } },
+    required: ['run']
+  }
+});
+
+const cancelledError = (message) => {
+  const error = new Error(message);
+  error.code = 'QUERY_CANCELLED';
+  return error;
+};
+
+// Asks the user through MCP elicitation; anything but an explicit "run" cancels the query
+const confirmThroughElicitation = async (elicit, reasons) => {
+  let response;
+  try {
+    response = await elicit(toConfirmationRequest(reasons));
+  } catch (error) {
+    throw cancelledError(`Query cancelled: could not ask for confirmation (${error.message}).`);
+  }
+  if (response?.action !== 'accept' || response.content?.run !== true) {
+    throw cancelledError('Query cancelled after the cost warning.');
+  }
+};
+
+/**
+ * Plans the query and checks it against config.costGuard before it runs.
+ * Over the limits it throws an error with code 'COST_LIMIT_EXCEEDED' (`reasons`, `estimate`,
+ * `action`, `sqlHash`), unless the caller already confirmed this exact query (action 'confirm')
+ * or confirms now through MCP elicitation (code 'QUERY_CANCELLED' when they do not).
+ * @param {string} sql - Validated query about to run
+ * @param {object} guard - { options: resolveCostGuardOptions(), confirmed, elicit, explain }
+ *   where confirmed is the hashQuery() of the query the caller confirmed and
+ *   explain(sql) resolves to the EXPLAIN (FORMAT JSON) plan
+ * @returns {Promise<object|null>} { estimate } when checked, { estimate: null, skipped } when
+ *   EXPLAIN is unavailable, or null when the guard is off
+ */
+export const enforceCostGuard = async (sql, { options, confirmed, elicit, explain }) => {
+  if (!options.enabled) return null;
+
+  let plan;
+  try {
+    plan = await explain(sql);
+  } catch (error) {
+    if (error.code !== 'EXPLAIN_UNAVAILABLE') throw error;
+    if (options.requireExplain) {
+      const refused = new Error(`Query not run: the cost guard requires EXPLAIN (costGuard.requireExplain). ${error.message}`);
+      refused.code = 'EXPLAIN_UNAVAILABLE';
+      throw refused;
+    }
+    log.warn('Running the query without a cost check', { error: error.message });
+    return { estimate: null, skipped: error.message };
+  }
+
+  const estimate = estimateQueryCost(plan, options);
+  const reasons = checkQueryCost(estimate, options);
+  if (reasons.length === 0) return { estimate };
+
+  log.warn('Query exceeds the cost limits', { sql, ...estimate });
+  const sqlHash = hashQuery(sql);
+  if (options.action === 'confirm') {
+    // A confirmation only covers the query it was given for, not whatever is generated next
+    if (confirmed === sqlHash) return { estimate };
+    if (elicit) {
+      await confirmThroughElicitation(elicit, reasons);
+      return { estimate };
+    }
+  }
+
+  const changed = options.action === 'confirm' && confirmed ? 'The query differs from the one confirmed. ' : '';
+  const error = new Error(options.action === 'confirm'
+    ? `Query needs confirmation: ${changed}${reasons.map(r => r.message).join(' ')}`
+    : `Query rejected by the cost guard: ${reasons.map(r => r.message).join(' ')}`);
+  error.code = 'COST_LIMIT_EXCEEDED';
+  error.reasons = reasons;
+  error.estimate = estimate;
+  error.action = options.action;
+  error.sqlHash = sqlHash;
+  throw error;
+};
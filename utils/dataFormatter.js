@@ -1,32 +1,198 @@
+import crypto from 'crypto';
+
+/**
+ * Masking strategies, applied per field:
+ *  - full          '***' (default)
+ *  - last-4        '****1234', keeps the last 4 characters
+ *  - email-domain  '***@example.com', keeps only the domain
+ *  - hash          stable salted sha256 prefix, so masked values can still be grouped and compared;
+ *                  needs MASK_HASH_SALT or config.masking.hashSalt, since unsalted hashes of
+ *                  emails or IP addresses are reversed by hashing candidates
+ *  - null          removes the value
+ */
+const MASK_STRATEGIES = {
+  full: () => '***',
+  'last-4': (value) => {
+    const text = String(value);
+    return text.length > 4 ? `${'*'.repeat(text.length - 4)}${text.slice(-4)}` : '***';
+  },
+  'email-domain': (value) => {
+    const text = String(value);
+    const at = text.lastIndexOf('@');
+    return at > 0 ? `***${text.slice(at)}` : '***';
+  },
+  hash: (value, { hashSalt } = {}) => {
+    if (!hashSalt) throw new Error('The "hash" masking strategy needs a salt: set MASK_HASH_SALT or masking.hashSalt.');
+    return crypto.createHash('sha256').update(hashSalt + (typeof value === 'object' ? JSON.stringify(value) : String(value))).digest('hex').slice(0, 16);
+  },
+  null: () => null
+};
+
+export const MASK_STRATEGY_NAMES = Object.keys(MASK_STRATEGIES);
+
+/**
+ * Salt for the hash strategy: MASK_HASH_SALT wins over config.masking.hashSalt.
+ * @returns {string} Empty when none is set
+ */
+export const resolveHashSalt = (config = {}) => process.env.MASK_HASH_SALT || config.masking?.hashSalt || '';
+
+// A mask config is a list of field names (full masking) or a { field: strategy } map
+const toMaskMap = (spec) => {
+  if (!spec) return {};
+  if (Array.isArray(spec)) return Object.fromEntries(spec.map(field => [field, 'full']));
+  return spec;
+};
+
+/**
+ * Fields to mask for a role: config.maskFields (everyone) plus config.redactFieldsForRoles[role].
+ * Either may be a list of names or a { field: strategy } map; the role's strategy wins.
+ * @returns {object} { field: strategy }
+ */
+export const resolveMaskFields = (config = {}, role = 'guest') => ({
+  ...toMaskMap(config.maskFields),
+  ...toMaskMap(config.redactFieldsForRoles?.[role])
+});
+
+// Strategies that hide a whole value, so they also fit values computed from a masked column
+const WHOLE_VALUE_STRATEGIES = ['hash', 'full', 'null'];
+
+/**
+ * Mask rules for result columns that carry masked table columns under another name
+ * (see resolveOutputColumns in sqlValidator.js). An alias keeps the column's rules, so
+ * `SELECT phone AS contact` masks contact like phone; a value computed from a masked column
+ * or JSON key is masked with 'full', or 'null'/'hash' when the column's rule is one of those.
+ * @param {object} fieldsToMask - { field: strategy } from resolveMaskFields
+ * @param {Array} outputColumns - Result columns with the table columns they are read from
+ * @param {string[]} columns - Column names of the result
+ * @returns {object} { column: strategy } rules for the result columns
+ */
+export const maskFieldsForOutput = (fieldsToMask, outputColumns = [], columns = []) => {
+  const rules = normalizeMaskRules(fieldsToMask);
+  const listed = new Set(outputColumns.map(({ name }) => name.toLowerCase()));
+  const fields = {};
+
+  outputColumns.forEach(({ name, sources, keys, derived }) => {
+    const targets = name === '*'
+      ? columns.filter(column => !listed.has(column.toLowerCase()))
+      : columns.filter(column => column.toLowerCase() === name.toLowerCase());
+    rules
+      .filter(({ path }) => sources.includes(path[0]) || (derived && path.some(segment => keys.includes(segment))))
+      .forEach(({ path, strategy }) => targets.forEach(column => {
+        if (!derived) {
+          fields[[column, ...path.slice(1)].join('.')] = strategy;
+          return;
+        }
+        const wholeValue = WHOLE_VALUE_STRATEGIES.includes(strategy) ? strategy : 'full';
+        const current = WHOLE_VALUE_STRATEGIES.indexOf(fields[column]);
+        if (WHOLE_VALUE_STRATEGIES.indexOf(wholeValue) > current) fields[column] = wholeValue;
+      }));
+  });
+  return fields;
+};
+
+/**
+ * Normalizes a mask configuration into rules.
+ * Fields may be dot paths into JSON columns ('profile.ssn'); a bare name matches at any depth.
+ * @returns {Array<{ path: string[], strategy: string }>}
+ */
+export const normalizeMaskRules = (spec) =>
+  Object.entries(toMaskMap(spec)).map(([field, strategy]) => {
+    if (!MASK_STRATEGIES[strategy]) {
+      throw new Error(`Unknown masking strategy "${strategy}" for field "${field}". Use one of: ${MASK_STRATEGY_NAMES.join(', ')}`);
+    }
+    return { path: field.toLowerCase().split('.'), strategy };
+  });
+
+/**
+ * Checks every configured masking strategy once, at startup: maskFields, redactFieldsForRoles
+ * and piiDetection.overrides must use known strategies, and 'hash' needs a salt.
+ * Throws an error with code 'MASKING_CONFIG_INVALID' listing every problem.
+ */
+export const validateMaskingConfig = (config = {}) => {
+  const specs = [
+    ['maskFields', config.maskFields],
+    ...Object.entries(config.redactFieldsForRoles || {}).map(([role, spec]) => [`redactFieldsForRoles.${role}`, spec]),
+    ['piiDetection.overrides', Object.fromEntries(
+      Object.entries(config.piiDetection?.overrides || {}).filter(([, strategy]) => typeof strategy === 'string')
+    )]
+  ];
+  const hashSalt = resolveHashSalt(config);
+
+  const problems = specs.flatMap(([name, spec]) => {
+    try {
+      return normalizeMaskRules(spec)
+        .filter(rule => rule.strategy === 'hash' && !hashSalt)
+        .map(rule => `${name}: "${rule.path.join('.')}" uses "hash" without a salt; set MASK_HASH_SALT or masking.hashSalt`);
+    } catch (error) {
+      return [`${name}: ${error.message}`];
+    }
+  });
+  if (problems.length) {
+    const error = new Error(`Invalid masking configuration: ${problems.join('; ')}`);
+    error.code = 'MASKING_CONFIG_INVALID';
+    throw error;
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !Buffer.isBuffer(value);
+
+// A rule matches when the key path ends with the rule's path
+const findRule = (rules, keyPath) =>
+  rules.find(rule =>
+    rule.path.length <= keyPath.length &&
+    rule.path.every((segment, i) => segment === keyPath[keyPath.length - rule.path.length + i])
+  );
+
 /**
  * Masks sensitive fields based on user role or field config
  * @param {Array|object} data - The result to be masked
- * @param {Array<string>} fieldsToMask - Fields that should be masked (e.g., ['ssn', 'email'])
- * @returns {Array|object} - Data with fields masked
+ * @param {Array|object} fieldsToMask - Field names (e.g., ['ssn', 'email']) and/or a
+ *   { field: strategy } map (e.g., { email: 'email-domain', 'profile.phone': 'last-4' })
+ * @param {object} options - { hashSalt } salt for the hash strategy
+ * @returns {Array|object} - Data with fields masked, nested objects, arrays and JSON strings included
  */
-export const maskSensitiveFields = (data, fieldsToMask = []) => {
-  const maskValue = '***';
-
-  const maskObject = (row) => {
-    const masked = { ...row };
-    fieldsToMask.forEach((field) => {
-      if (masked.hasOwnProperty(field)) {
-        masked[field] = maskValue;
+export const maskSensitiveFields = (data, fieldsToMask = [], options = {}) => {
+  const rules = normalizeMaskRules(fieldsToMask);
+  if (rules.length === 0) return data;
+
+  const applyRule = (value, strategy) => {
+    if (value === null || value === undefined) return value;
+    // Only null-out and hash can keep their meaning for whole objects/arrays
+    if (typeof value === 'object' && strategy !== 'null' && strategy !== 'hash') return '***';
+    return MASK_STRATEGIES[strategy](value, options);
+  };
+
+  const maskNode = (node, keyPath) => {
+    if (Array.isArray(node)) return node.map(item => maskNode(item, keyPath));
+    if (isPlainObject(node)) {
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => {
+        const childPath = [...keyPath, key.toLowerCase()];
+        const rule = findRule(rules, childPath);
+        return [key, rule ? applyRule(value, rule.strategy) : maskNode(value, childPath)];
+      }));
+    }
+    // JSON stored as text: mask inside and keep it a string
+    if (typeof node === 'string' && /^\s*[[{]/.test(node)) {
+      try {
+        const parsed = JSON.parse(node);
+        const masked = JSON.stringify(maskNode(parsed, keyPath));
+        return masked === JSON.stringify(parsed) ? node : masked;
+      } catch {
+        return node;
       }
-    });
-    return masked;
+    }
+    return node;
   };
 
-  if (Array.isArray(data)) return data.map(maskObject);
-  if (typeof data === 'object' && data !== null) return maskObject(data);
-  return data;
+  return maskNode(data, []);
 };
 
 /**
  * Formats raw DB results into a natural language summary.
  * This version supports optionally masking fields
  * @param {*} results - Raw database results
- * @param {*} options - { maskFields: [], role: '' }
+ * @param {*} options - { maskFields: [] or { field: strategy }, role: '' }
  * @returns {string} summary
  */
 export const formatResultsSummary = (results, options = {}) => {
@@ -67,18 +233,7 @@ export const formatResultsSummary = (results, options = {}) => {
     summary += `Record ${i + 1}:\n`;
     for (const key in row) {
       if (key !== '_id' && key !== '__v') {
-        const value = row[key];
-        if (typeof value === 'object' && value !== null) {
-          if (Array.isArray(value)) {
-            summary += `  ${key}: [Array with ${value.length} items]\n`;
-          } else if (value instanceof Date) {
-            summary += `  ${key}: ${value.toISOString()}\n`;
-          } else {
-            summary += `  ${key}: {Object}\n`;
-          }
-        } else {
-          summary += `  ${key}: ${value}\n`;
-        }
+        summary += `  ${key}: ${row[key] === null ? 'null' : toCellText(row[key])}\n`;
       }
     }
     summary += '\n';
@@ -91,3 +246,89 @@ export const formatResultsSummary = (results, options = {}) => {
 
   return summary;
 };
+
+// ---- Output formats ----
+
+export const OUTPUT_FORMATS = ['text', 'markdown', 'csv', 'jsonl', 'columnar'];
+
+/**
+ * Converts a value into plain JSON data: dates become ISO strings, binary data
+ * becomes base64, bigints become strings; objects and arrays are converted recursively.
+ */
+const toJsonValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toJsonValue(v)]));
+  }
+  return value;
+};
+
+/**
+ * Renders a value as a single cell: scalars as-is, dates as ISO strings,
+ * nested objects and arrays as compact JSON.
+ */
+const toCellText = (value) => {
+  const json = toJsonValue(value);
+  if (json === null) return '';
+  return typeof json === 'object' ? JSON.stringify(json) : String(json);
+};
+
+const columnsOf = (rows) => [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+const toMarkdown = (rows, columns) => {
+  if (rows.length === 0) return '_No rows_';
+  const escape = (text) => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  const header = `| ${columns.map(escape).join(' | ')} |`;
+  const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+  const body = rows.map(row => `| ${columns.map(col => escape(toCellText(row[col]))).join(' | ')} |`);
+  return [header, divider, ...body].join('\n');
+};
+
+// RFC 4180: quote fields containing commas, quotes or line breaks
+const toCsv = (rows, columns) => {
+  const quote = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  return [columns, ...rows.map(row => columns.map(col => toCellText(row[col])))]
+    .map(fields => fields.map(quote).join(','))
+    .join('\r\n');
+};
+
+const toJsonLines = (rows) => rows.map(row => JSON.stringify(toJsonValue(row))).join('\n');
+
+const toColumnar = (rows, columns) => ({
+  columns,
+  rowCount: rows.length,
+  values: Object.fromEntries(columns.map(col => [col, rows.map(row => toJsonValue(row[col]))]))
+});
+
+/**
+ * Formats (already masked) results in one of OUTPUT_FORMATS.
+ *  - text      the "Record N:" summary of formatResultsSummary
+ *  - markdown  a Markdown table
+ *  - csv       RFC 4180 CSV with a header row
+ *  - jsonl     one JSON object per line
+ *  - columnar  { columns, rowCount, values: { column: [...] } } (returned as an object)
+ * Nested objects and arrays are kept as JSON, dates are ISO 8601 strings.
+ * @returns {string|object}
+ */
+export const formatResults = (results, format = 'text') => {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (format === 'text') return formatResultsSummary(results);
+
+  const rows = (Array.isArray(results) ? results : [results])
+    .filter(row => row !== null && row !== undefined)
+    .map(row => (typeof row === 'object' ? row : { value: row }));
+  const columns = columnsOf(rows);
+
+  switch (format) {
+    case 'markdown': return toMarkdown(rows, columns);
+    case 'csv': return toCsv(rows, columns);
+    case 'jsonl': return toJsonLines(rows);
+    default: return toColumnar(rows, columns);
+  }
+};
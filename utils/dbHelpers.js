@@ -1,22 +1,164 @@
+import fs from 'fs';
 import knex from 'knex';
-import { initializeSupabaseClient, getSupabaseClient } from './supabaseClient.js';
-
-let dbInstance;
+import pg from 'pg';
+import { initializeSupabaseClient, getSupabaseClient, getSupabaseSchema, testSupabaseConnection } from './supabaseClient.js';
+import {
+  CATALOG_COLUMNS_SQL,
+  CATALOG_FOREIGN_KEYS_SQL,
+  buildSchemaFromCatalog,
+  getSchemaNames,
+  DEFAULT_SCHEMAS
+} from './schemaIntrospection.js';
+import { assertSafeSql } from './sqlValidator.js';
+import { resolveCostGuardOptions, enforceCostGuard } from './costGuard.js';
+import { createLogger } from './logger.js';
+
+let dbInstance = null;
 let dbType;
+let statementTimeoutMs = 10000;
+let schemaNames = DEFAULT_SCHEMAS;
+let sqlValidationOptions = {};
+let costGuardOptions = resolveCostGuardOptions();
+
+const log = createLogger('DB Helper');
+
+/** Parses an int8 (COUNT, SUM of integers) to a number when that is exact, else keeps the string. */
+export const parseInt8 = (value) => {
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value;
+};
+
+/** Parses a numeric to a number when it round-trips (trailing zeros aside), else keeps the string. */
+export const parseNumeric = (value) => {
+  const number = Number(value);
+  const normalized = value.includes('.') ? value.replace(/0+$/, '').replace(/\.$/, '') : value;
+  return Number.isFinite(number) && String(number) === normalized ? number : value;
+};
+
+// int8 and numeric come back from pg as strings. Parse them like the execute_sql RPC does
+// (json numbers) so both paths return the same shapes, unless that would lose precision.
+const NUMERIC_PARSERS = { 20: parseInt8, 1700: parseNumeric };
+const pgTypes = {
+  getTypeParser: (oid, format) => NUMERIC_PARSERS[oid] ?? pg.types.getTypeParser(oid, format)
+};
+
+/**
+ * Escapes every `?` for knex.raw. Without bindings knex still turns each `?` into a `$n`
+ * placeholder, which breaks the jsonb ?, ?| and ?& operators and rewrites '?' in literals.
+ */
+export const escapeRawSql = (sql) => sql.replace(/\?/g, '\\?');
 
 /**
- * Initialize database connection using Supabase client and direct PostgreSQL
+ * TLS options for the direct connection from config.database.ssl: false disables TLS,
+ * { "rejectUnauthorized": false } skips certificate verification (explicit opt-out),
+ * DB_SSL_CA_FILE or { "caFile": "..." } adds a CA such as Supabase's root certificate.
+ * @param {boolean|object} ssl - config.database.ssl
+ * @param {object} fallback - Used when config.database.ssl is not set
+ */
+const resolveSsl = (ssl, fallback) => {
+  if (ssl === false) return false;
+  const { caFile, ...options } = ssl === true ? {} : (ssl ?? fallback ?? {});
+  const ca = process.env.DB_SSL_CA_FILE || caFile;
+  if (ca) return { ...options, ca: fs.readFileSync(ca, 'utf8') };
+  return ssl === undefined ? fallback : options;
+};
+
+/**
+ * Builds the direct PostgreSQL connection settings from DATABASE_URL, config.database
+ * or the SUPABASE_HOST/SUPABASE_PASSWORD pair. Returns null when none is configured.
+ * SUPABASE_HOST connections use TLS and verify the server certificate unless
+ * config.database.ssl says otherwise.
+ */
+export const getDirectConnectionConfig = (config = {}) => {
+  const dbConfig = config.database || {};
+  const url = process.env.DATABASE_URL || dbConfig.url;
+
+  if (url) {
+    return { connectionString: url, ssl: resolveSsl(dbConfig.ssl), types: pgTypes };
+  }
+
+  if (process.env.SUPABASE_HOST && process.env.SUPABASE_PASSWORD) {
+    return {
+      host: process.env.SUPABASE_HOST,
+      port: Number(process.env.SUPABASE_PORT) || 5432,
+      user: process.env.SUPABASE_USER || 'postgres',
+      password: process.env.SUPABASE_PASSWORD,
+      database: process.env.SUPABASE_DB || 'postgres',
+      ssl: resolveSsl(dbConfig.ssl, { rejectUnauthorized: true }),
+      types: pgTypes
+    };
+  }
+
+  return null;
+};
+
+/**
+ * knex prefixes driver errors with the SQL it ran ("<sql> - <message>"). Drops that prefix
+ * so the query's literals stay out of logs and error responses.
+ */
+const withoutSql = (message, sql) => message.startsWith(`${sql} - `) ? message.slice(sql.length + 3) : message;
+
+/**
+ * Opens the direct PostgreSQL connection pool and verifies it with a test query.
+ */
+const initializeDirectConnection = async (connection, config) => {
+  const dbConfig = config.database || {};
+  statementTimeoutMs = Number(process.env.DB_STATEMENT_TIMEOUT_MS) || dbConfig.statementTimeoutMs || statementTimeoutMs;
+
+  dbInstance = knex({
+    client: 'pg',
+    connection,
+    pool: { min: 0, max: 5, ...dbConfig.pool },
+    // Never inline bindings into error messages
+    compileSqlOnError: false
+  });
+
+  try {
+    await dbInstance.raw('SELECT 1 AS test');
+    dbType = 'postgres';
+    log.info(`Direct PostgreSQL connection successful (statement_timeout ${statementTimeoutMs}ms)`);
+  } catch (error) {
+    await dbInstance.destroy();
+    dbInstance = null;
+    log.error(`Failed to connect to PostgreSQL`, { error: error.message });
+    throw new Error(`PostgreSQL connection failed: ${error.message}`);
+  }
+};
+
+const hasSupabaseCredentials = (config = {}) =>
+  Boolean((process.env.SUPABASE_URL || config.supabaseUrl) && (process.env.SUPABASE_ANON_KEY || config.supabaseKey));
+
+/**
+ * Initialize the database connection.
+ * Uses a direct PostgreSQL connection when one is configured (see getDirectConnectionConfig),
+ * otherwise the Supabase client with the execute_sql RPC. When the direct connection
+ * cannot be made and Supabase is configured, Supabase is used instead.
  */
 export const initializeDatabase = async (config) => {
+  schemaNames = getSchemaNames(config);
+  sqlValidationOptions = config.sqlValidation || {};
+  costGuardOptions = resolveCostGuardOptions(config);
+
+  const directConnection = getDirectConnectionConfig(config);
+  if (directConnection) {
+    log.info(`Initializing direct PostgreSQL connection...`);
+    try {
+      return await initializeDirectConnection(directConnection, config);
+    } catch (error) {
+      if (!hasSupabaseCredentials(config)) throw error;
+      log.warn('Direct PostgreSQL connection failed, falling back to Supabase', { error: error.message });
+    }
+  }
+
   dbType = 'supabase';
-  console.log(`[DB Helper] Initializing Supabase connection...`);
+  log.info(`Initializing Supabase connection...`);
 
   try {
     // Initialize Supabase client first
     const supabaseClient = getSupabaseClient();
 
     if (!supabaseClient) {
-      console.log(`[DB Helper] Initializing Supabase client...`);
+      log.info(`Initializing Supabase client...`);
       initializeSupabaseClient(config);
     }
 
@@ -26,16 +168,11 @@ export const initializeDatabase = async (config) => {
       throw new Error('Failed to initialize Supabase client');
     }
 
-    // Test with a simple query
-    const { data, error } = await client
-      .from('users')
-      .select('count', { count: 'exact', head: true });
-
-    if (error && error.code !== 'PGRST116') {
-      // PGRST116 is "table not found" which is acceptable for testing
-      console.warn(`[DB Helper] ⚠️ Supabase client test query warning:`, error.message);
-    } else {
-      console.log(`[DB Helper] ✅ Supabase client connection successful`);
+    try {
+      await testSupabaseConnection();
+      log.info(`Supabase client connection successful`);
+    } catch (error) {
+      log.warn(`Supabase client test query warning`, { error: error.message });
     }
 
     // Test if custom RPC functions are available
@@ -44,35 +181,28 @@ export const initializeDatabase = async (config) => {
       const { data: testData, error: testError } = await client.rpc('execute_sql', { sql_query: 'SELECT 1 as test' });
       if (testError) throw testError;
 
-      console.log(`[DB Helper] ✅ RPC function 'execute_sql' is available and working`);
+      log.info(`RPC function 'execute_sql' is available and working`);
 
       // Test the test_rpc function
       const { data: rpcTest, error: rpcTestError } = await client.rpc('test_rpc');
       if (!rpcTestError && rpcTest) {
-        console.log(`[DB Helper] ✅ RPC test successful: ${rpcTest.message}`);
+        log.info(`RPC test successful: ${rpcTest.message}`);
       }
 
     } catch (rpcError) {
-      console.warn(`[DB Helper] ⚠️ RPC functions not available. Complex queries will use query parsing.`);
-      console.warn(`[DB Helper] 💡 To enable RPC support:`);
-      console.warn(`[DB Helper]    1. Copy the contents of 'backend/database/rpc-setup.sql'`);
-      console.warn(`[DB Helper]    2. Paste and run it in your Supabase SQL Editor`);
-      console.warn(`[DB Helper]    3. Restart the application`);
-      console.warn(`[DB Helper] Error details:`, rpcError.message);
+      log.warn('RPC functions not available. Complex queries will use query parsing. Run database/rpc-setup.sql in the Supabase SQL Editor to enable them.', { error: rpcError.message });
     }
 
-    // Note: We're using Supabase client exclusively
-    // Direct PostgreSQL connection is no longer needed
-
   } catch (error) {
-    console.error(`[DB Helper] ❌ Failed to connect to Supabase:`, error.message);
+    log.error(`Failed to connect to Supabase`, { error: error.message });
     throw new Error(`Supabase connection failed: ${error.message}`);
   }
 };
 
 
 /**
- * Fetch schema dynamically for the Supabase database.
+ * Fetch schema dynamically: tables and views of the configured schemas with
+ * column types, keys, enum values and comments (see schemaIntrospection.js).
  */
 export const getDbSchema = async () => {
   // Check if we have any database connection available
@@ -85,110 +215,64 @@ export const getDbSchema = async () => {
   let schema = {};
 
   try {
-    // Use Supabase client for all schema operations
-    if (supabaseClient) {
-      console.log('[DB Helper] Using Supabase client for schema retrieval...');
+    if (dbInstance) {
+      log.info('Using direct PostgreSQL connection for schema retrieval...');
+      const [{ rows: columnRows }, { rows: foreignKeyRows }] = await Promise.all([
+        dbInstance.raw(CATALOG_COLUMNS_SQL, [schemaNames]),
+        dbInstance.raw(CATALOG_FOREIGN_KEYS_SQL, [schemaNames])
+      ]);
+      schema = buildSchemaFromCatalog(columnRows, foreignKeyRows);
+    } else if (supabaseClient) {
+      log.info('Using Supabase client for schema retrieval...');
 
       // Try to use custom RPC function for schema
-      try {
-        const { data: schemaData, error: schemaError } = await supabaseClient.rpc('get_table_schema', { schema_name: 'public' });
-
-        if (!schemaError && schemaData) {
-          console.log('[DB Helper] Retrieved schema via custom RPC function');
-          schemaData.forEach(table => {
-            const tableDescriptions = {
-              'users': 'Customer information including contact details and location',
-              'products': 'Product catalog with pricing, inventory, and categorization',
-              'orders': 'Customer orders with status tracking and shipping information'
-            };
-
-            schema[table.table_name] = {
-              description: tableDescriptions[table.table_name] || `Table: ${table.table_name}`,
-              columns: table.columns.map(col => ({
-                name: col.column_name,
-                type: col.data_type,
-                nullable: col.is_nullable === 'YES',
-                default: col.column_default,
-                maxLength: null
-              }))
-            };
-          });
-        } else {
-          throw new Error('RPC schema function not available');
-        }
-      } catch (rpcError) {
-        console.log('[DB Helper] Custom RPC schema function not available, using fallback method...');
-
-        // Fallback: Use Supabase client to get basic schema info
-        const expectedTables = ['users', 'products', 'orders'];
-
-        for (const tableName of expectedTables) {
-          try {
-            // Try to get a sample record to understand structure
-            const { data, error } = await supabaseClient
-              .from(tableName)
-              .select('*')
-              .limit(1);
-
-            if (!error && data && data.length > 0) {
-              schema[tableName] = {
-                description: `Table: ${tableName}`,
-                columns: Object.keys(data[0]).map(key => ({
-                  name: key,
-                  type: typeof data[0][key],
-                  nullable: true,
-                  default: null,
-                  maxLength: null
-                }))
-              };
-            } else {
-              schema[tableName] = {
-                description: `Table: ${tableName} (empty or inaccessible)`,
-                columns: []
-              };
-            }
-          } catch (tableError) {
-            console.warn(`[DB Helper] Could not access table ${tableName}:`, tableError.message);
-            schema[tableName] = {
-              description: `Table: ${tableName} (error accessing)`,
-              columns: []
-            };
-          }
-        }
+      const { data: schemaData, error: schemaError } = await supabaseClient.rpc('get_schema_details', { schema_names: schemaNames });
+
+      if (!schemaError && schemaData) {
+        log.info('Retrieved schema via custom RPC function');
+        schema = buildSchemaFromCatalog(schemaData.columns || [], schemaData.foreign_keys || []);
+      } else {
+        // Fallback: the PostgREST API description lists every exposed table and view
+        log.info('Custom RPC schema function not available, using Supabase API description...');
+        schema = await getSupabaseSchema(schemaNames);
       }
     }
 
-    console.log(`[DB Helper] ✅ Retrieved schema for ${Object.keys(schema).length} tables`);
+    log.info(`Retrieved schema for ${Object.keys(schema).length} tables/views`);
     return schema;
 
   } catch (error) {
-    console.error(`[DB Helper] ❌ Failed to retrieve schema:`, error.message);
+    log.error(`Failed to retrieve schema`, { error: error.message });
     throw new Error(`Schema retrieval failed: ${error.message}`);
   }
 };
 
 /**
- * Executes an AI-generated query using Supabase client.
+ * Executes an AI-generated query, directly against PostgreSQL when connected,
+ * otherwise via the Supabase client.
+ * @param {string} generatedQuery - SQL to validate and run
+ * @param {object} options - { accessPolicy, schema } role policy and full schema (see utils/accessPolicy.js);
+ *   { costGuard } { options, confirmed, elicit, onCheck } for the cost guard (see utils/costGuard.js):
+ *   options default to config.costGuard, onCheck receives the estimate
  */
-export const executeDbQuery = async (generatedQuery) => {
-  // Clean and validate the query
-  let trimmedQuery = generatedQuery.trim ? generatedQuery.trim() : generatedQuery;
-
-  // Remove multiple semicolons and trailing semicolons
-  trimmedQuery = trimmedQuery.replace(/;+$/, '').trim();
-
-  const lowerCaseQuery = trimmedQuery.toLowerCase();
-
-  // Security checks
-  if (!lowerCaseQuery.startsWith('select'))
-    throw new Error('SQL handler only supports SELECT statements for read.');
-  const forbidden = ['delete', 'update', 'insert', 'drop', 'alter', 'create', 'truncate'];
-  if (forbidden.some(word => lowerCaseQuery.includes(word)))
-    throw new Error('SQL contains forbidden keywords for security.');
-
-  // Additional security: check for multiple statements
-  if (trimmedQuery.includes(';') && trimmedQuery.split(';').filter(s => s.trim()).length > 1) {
-    throw new Error('Multiple SQL statements are not allowed for security.');
+export const executeDbQuery = async (generatedQuery, { accessPolicy, schema, costGuard = {} } = {}) => {
+  // Parse and validate: single read-only SELECT/WITH, no dangerous functions and,
+  // when a role policy is given, only permitted tables and columns.
+  // Throws an error with code 'SQL_REJECTED' and structured `reasons` otherwise.
+  const { sql: trimmedQuery } = assertSafeSql(generatedQuery, { ...sqlValidationOptions, accessPolicy, schema });
+
+  // Plan it first: too expensive queries throw 'COST_LIMIT_EXCEEDED' before they run
+  const costCheck = await enforceCostGuard(trimmedQuery, {
+    options: costGuard.options || costGuardOptions,
+    confirmed: costGuard.confirmed,
+    elicit: costGuard.elicit,
+    explain: (sql) => explainDbQuery(sql, { accessPolicy, schema })
+  });
+  costGuard.onCheck?.(costCheck);
+
+  if (dbInstance) {
+    log.info('Executing query via direct PostgreSQL connection...');
+    return await executeViaDirectConnection(trimmedQuery);
   }
 
   // Check if we have Supabase client available
@@ -199,11 +283,88 @@ export const executeDbQuery = async (generatedQuery) => {
   }
 
   // Execute all queries via Supabase client using RPC
-  console.log('[DB Helper] Executing query via Supabase client...');
+  log.info('Executing query via Supabase client...');
   return await executeViaSupabaseRPC(trimmedQuery, supabaseClient);
 };
 
+/**
+ * Execute a query in a READ ONLY transaction with a statement_timeout,
+ * so even a query that slips past validation cannot write or run forever.
+ */
+const executeViaDirectConnection = async (query) => {
+  const sql = escapeRawSql(query);
+  try {
+    return await dbInstance.transaction(async (trx) => {
+      await trx.raw('SET TRANSACTION READ ONLY');
+      await trx.raw(`SET LOCAL statement_timeout = ${Math.floor(statementTimeoutMs)}`);
+      const result = await trx.raw(sql);
+      log.info('Query executed successfully via PostgreSQL', { rows: result.rowCount });
+      return result.rows;
+    });
+  } catch (error) {
+    const message = withoutSql(error.message, sql);
+    log.error('PostgreSQL query execution failed', { error: message });
+    throw new Error(`Query execution failed: ${message}`);
+  }
+};
+
+/**
+ * Validates an AI-generated query exactly like executeDbQuery, without running it.
+ * @param {string} generatedQuery - SQL to validate
+ * @param {object} options - { accessPolicy, schema } role policy and full schema
+ * @returns {string} The validated SQL
+ */
+export const validateDbQuery = (generatedQuery, { accessPolicy, schema } = {}) =>
+  assertSafeSql(generatedQuery, { ...sqlValidationOptions, accessPolicy, schema }).sql;
+
+/**
+ * Returns the query plan of an AI-generated query without running it: EXPLAIN (FORMAT JSON),
+ * validated like executeDbQuery. Planning still catches unknown tables, columns and type errors.
+ * @param {string} generatedQuery - SQL to validate and explain
+ * @param {object} options - { accessPolicy, schema } role policy and full schema
+ * @returns {Promise<object>} The plan, { Plan: { 'Node Type', 'Total Cost', 'Plan Rows', Plans, ... } }
+ */
+export const explainDbQuery = async (generatedQuery, { accessPolicy, schema } = {}) => {
+  const query = validateDbQuery(generatedQuery, { accessPolicy, schema }).trim().replace(/;+$/, '');
+  const explainSql = `EXPLAIN (FORMAT JSON) ${escapeRawSql(query)}`;
+
+  try {
+    if (dbInstance) {
+      return await dbInstance.transaction(async (trx) => {
+        await trx.raw('SET TRANSACTION READ ONLY');
+        await trx.raw(`SET LOCAL statement_timeout = ${Math.floor(statementTimeoutMs)}`);
+        const result = await trx.raw(explainSql);
+        return result.rows[0]['QUERY PLAN'][0];
+      });
+    }
 
+    const supabaseClient = getSupabaseClient();
+    if (!supabaseClient) {
+      throw new Error('Supabase client not available. Please check your Supabase configuration and call initializeDatabase first.');
+    }
+    // execute_sql only runs SELECT statements; explain_sql is in database/rpc-setup.sql
+    const { data, error } = await supabaseClient.rpc('explain_sql', { sql_query: query });
+    if (error) {
+      // PGRST202: PostgREST has no such function
+      if (error.code === 'PGRST202' || /explain_sql.*does not exist/i.test(error.message)) {
+        const unavailable = new Error('The explain_sql RPC function is not installed; run database/rpc-setup.sql');
+        unavailable.code = 'EXPLAIN_UNAVAILABLE';
+        throw unavailable;
+      }
+      throw error;
+    }
+    return Array.isArray(data) ? data[0] : data;
+  } catch (error) {
+    const message = withoutSql(error.message, explainSql);
+    const explainError = new Error(`Query explain failed: ${message}`);
+    if (error.code === 'EXPLAIN_UNAVAILABLE') {
+      explainError.code = error.code;
+    } else {
+      log.error('Query explain failed', { error: message });
+    }
+    throw explainError;
+  }
+};
 
 /**
  * Execute queries using Supabase RPC or query builder
@@ -212,25 +373,25 @@ const executeViaSupabaseRPC = async (query, client) => {
   try {
     // Clean the query before sending to RPC
     const cleanedQuery = query.trim().replace(/;+$/, ''); // Remove trailing semicolons
-    console.log('[DB Helper] Executing SQL query via Supabase RPC:', cleanedQuery.substring(0, 100) + (cleanedQuery.length > 100 ? '...' : ''));
+    log.debug('Executing SQL query via Supabase RPC', { sql: cleanedQuery });
 
     // Try using the execute_sql RPC function first
     try {
-      console.log('[DB Helper] Attempting execution via RPC function...');
+      log.info('Attempting execution via RPC function...');
       const { data, error } = await client.rpc('execute_sql', { sql_query: cleanedQuery });
 
       if (error) {
-        console.log('[DB Helper] RPC execution failed:', error.message);
+        log.info('RPC execution failed', { error: error.message });
 
         // Check if it's a "function not found" error
         if (error.message.includes('function') && error.message.includes('does not exist')) {
-          console.log('[DB Helper] RPC function not installed, falling back to query parsing...');
+          log.info('RPC function not installed, falling back to query parsing...');
           throw new Error('RPC_NOT_AVAILABLE');
         }
 
         // Check if it's a syntax error that might be fixed by query parsing
         if (error.message.includes('syntax error')) {
-          console.log('[DB Helper] RPC syntax error, trying query parsing fallback...');
+          log.info('RPC syntax error, trying query parsing fallback...');
           throw new Error('RPC_SYNTAX_ERROR');
         }
 
@@ -238,8 +399,7 @@ const executeViaSupabaseRPC = async (query, client) => {
         throw error;
       }
 
-      console.log('[DB Helper] ✅ Query executed successfully via RPC');
-      console.log('[DB Helper] Result type:', typeof data, 'Length:', Array.isArray(data) ? data.length : 'N/A');
+      log.info('Query executed successfully via RPC', { rows: Array.isArray(data) ? data.length : null });
 
       // The RPC function returns JSON, so we should return it directly
       return Array.isArray(data) ? data : (data ? [data] : []);
@@ -252,7 +412,7 @@ const executeViaSupabaseRPC = async (query, client) => {
           rpcError.message.includes('does not exist') ||
           rpcError.message.includes('syntax error')) {
 
-        console.log('[DB Helper] RPC not available or syntax issue, falling back to query parsing...');
+        log.info('RPC not available or syntax issue, falling back to query parsing...');
         return await parseAndExecuteQuery(query, client);
       }
 
@@ -261,7 +421,7 @@ const executeViaSupabaseRPC = async (query, client) => {
     }
 
   } catch (error) {
-    console.error('[DB Helper] Supabase query execution failed:', error.message);
+    log.error('Supabase query execution failed', { error: error.message });
     throw new Error(`Query execution failed: ${error.message}`);
   }
 };
@@ -271,18 +431,17 @@ const executeViaSupabaseRPC = async (query, client) => {
  */
 const parseAndExecuteQuery = async (query, client) => {
   const lowerQuery = query.toLowerCase().trim();
-  console.log('[DB Helper] Parsing query:', lowerQuery);
-  console.log('[DB Helper] Original query:', query);
+  log.debug('Parsing query', { sql: query });
 
   // Handle simple SELECT * FROM table queries (with optional semicolon)
-  console.log('[DB Helper] Testing simple SELECT pattern...');
+  log.debug('Testing simple SELECT pattern...');
   const simpleSelectMatch = lowerQuery.match(/^select\s+\*\s+from\s+(\w+)(?:\s+limit\s+(\d+))?(?:\s*;)?$/);
-  console.log('[DB Helper] Simple SELECT match result:', simpleSelectMatch);
+  log.debug('Simple SELECT match result', { matched: Boolean(simpleSelectMatch) });
   if (simpleSelectMatch) {
     const tableName = simpleSelectMatch[1];
     const limit = simpleSelectMatch[2] ? parseInt(simpleSelectMatch[2]) : undefined;
 
-    console.log(`[DB Helper] Executing simple SELECT from ${tableName}`);
+    log.debug(`Executing simple SELECT from ${tableName}`);
     let queryBuilder = client.from(tableName).select('*');
     if (limit) {
       queryBuilder = queryBuilder.limit(limit);
@@ -299,7 +458,7 @@ const parseAndExecuteQuery = async (query, client) => {
     const countAlias = countMatch[1] || 'count';
     const tableName = countMatch[2];
 
-    console.log(`[DB Helper] Executing COUNT query on ${tableName}`);
+    log.debug(`Executing COUNT query on ${tableName}`);
     const { count, error } = await client
       .from(tableName)
       .select('*', { count: 'exact', head: true });
@@ -316,7 +475,7 @@ const parseAndExecuteQuery = async (query, client) => {
     const value = whereStringMatch[3];
     const limit = whereStringMatch[4] ? parseInt(whereStringMatch[4]) : undefined;
 
-    console.log(`[DB Helper] Executing WHERE query: ${tableName}.${column} = '${value}'`);
+    log.debug(`Executing WHERE query on ${tableName}.${column}`);
     let queryBuilder = client.from(tableName).select('*').eq(column, value);
     if (limit) {
       queryBuilder = queryBuilder.limit(limit);
@@ -335,7 +494,7 @@ const parseAndExecuteQuery = async (query, client) => {
     const value = parseInt(whereNumMatch[3]);
     const limit = whereNumMatch[4] ? parseInt(whereNumMatch[4]) : undefined;
 
-    console.log(`[DB Helper] Executing WHERE query: ${tableName}.${column} = ${value}`);
+    log.debug(`Executing WHERE query on ${tableName}.${column}`);
     let queryBuilder = client.from(tableName).select('*').eq(column, value);
     if (limit) {
       queryBuilder = queryBuilder.limit(limit);
@@ -353,7 +512,7 @@ const parseAndExecuteQuery = async (query, client) => {
     const tableName = selectColumnsMatch[2];
     const limit = selectColumnsMatch[3] ? parseInt(selectColumnsMatch[3]) : undefined;
 
-    console.log(`[DB Helper] Executing SELECT ${columns} from ${tableName}`);
+    log.debug(`Executing SELECT ${columns} from ${tableName}`);
     let queryBuilder = client.from(tableName).select(columns);
     if (limit) {
       queryBuilder = queryBuilder.limit(limit);
@@ -373,7 +532,7 @@ const parseAndExecuteQuery = async (query, client) => {
     const groupByColumn = groupByMatch[4];
 
     if (groupColumn === groupByColumn) {
-      console.log(`[DB Helper] Executing GROUP BY query on ${tableName}`);
+      log.debug(`Executing GROUP BY query on ${tableName}`);
 
       // Get all records first, then group manually (Supabase limitation)
       const { data, error } = await client.from(tableName).select(groupColumn);
@@ -393,28 +552,19 @@ const parseAndExecuteQuery = async (query, client) => {
     }
   }
 
-  // Last resort: try a very basic SELECT * pattern
-  console.log('[DB Helper] Trying fallback basic SELECT pattern...');
-  const basicSelectMatch = lowerQuery.match(/select.*\*.*from\s+(\w+)/);
-  if (basicSelectMatch) {
-    const tableName = basicSelectMatch[1];
-    console.log(`[DB Helper] Executing fallback SELECT from ${tableName}`);
-
-    const { data, error } = await client.from(tableName).select('*');
-    if (error) throw error;
-    return data || [];
-  }
+  // No catch-all "SELECT * FROM <table>": it would drop the query's columns, filters and joins
+  // and return columns the access policy denies
 
   // If no pattern matches, throw an error with helpful information
-  console.warn('[DB Helper] Query pattern not recognized, cannot execute via Supabase client');
-  console.warn('[DB Helper] Supported patterns:');
-  console.warn('  - SELECT * FROM table');
-  console.warn('  - SELECT columns FROM table');
-  console.warn('  - SELECT COUNT(*) FROM table');
-  console.warn('  - SELECT * FROM table WHERE column = value');
-  console.warn('  - SELECT column, COUNT(*) FROM table GROUP BY column');
-  console.warn('[DB Helper] All patterns support optional LIMIT and semicolon');
-  console.warn('[DB Helper] For complex queries, install the RPC function from backend/database/rpc-setup.sql');
+  log.warn('Query pattern not recognized, cannot execute via Supabase client. For complex queries, install the RPC function from database/rpc-setup.sql.', {
+    supportedPatterns: [
+      'SELECT * FROM table',
+      'SELECT columns FROM table',
+      'SELECT COUNT(*) FROM table',
+      'SELECT * FROM table WHERE column = value',
+      'SELECT column, COUNT(*) FROM table GROUP BY column'
+    ]
+  });
 
   throw new Error(`Query pattern not supported via Supabase client. Query: "${query}". Install RPC function for complex queries or check query syntax.`);
 };
@@ -441,10 +591,22 @@ export const getDatabaseStatus = () => {
     hasDirectConnection: dbInstance !== null,
     hasSupabaseClient: supabaseClient !== null,
     dbType: dbType,
+    schemas: schemaNames,
+    statementTimeoutMs: dbInstance ? statementTimeoutMs : undefined,
     isInitialized: dbInstance !== null || supabaseClient !== null
   };
 };
 
+/**
+ * Close the direct PostgreSQL pool so scripts can exit cleanly
+ */
+export const closeDatabase = async () => {
+  if (dbInstance) {
+    await dbInstance.destroy();
+    dbInstance = null;
+  }
+};
+
 /**
  * Check if RPC functions are available
  */
@@ -0,0 +1,244 @@
+import axios from 'axios';
+import { mockProvider } from './mockLlmProvider.js';
+
+/**
+ * LLM provider adapters used by callAiApi.
+ * Each provider takes the resolved settings for one call and returns the completion text.
+ * settings: { prompt, model, temperature, timeout, maxTokens, apiKey, baseUrl, ... }
+ */
+
+const isValidApiKey = (key) =>
+  key && typeof key === 'string' && key.trim() !== '' && !key.startsWith('YOUR_') && !key.startsWith('your-');
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Shared request/response handling for the OpenAI chat completions wire format
+ * (OpenAI, Azure OpenAI and OpenAI-compatible servers such as Ollama or llama.cpp).
+ */
+const callChatCompletions = async (url, headers, body, settings, label) => {
+  try {
+    const response = await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: settings.timeout
+    });
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Response did not contain a message');
+    }
+    return content;
+  } catch (error) {
+    throw new Error(`${label} API call failed: ${error.message}`);
+  }
+};
+
+const chatBody = (settings) => ({
+  ...(settings.model ? { model: settings.model } : {}),
+  messages: [{ role: 'user', content: settings.prompt }],
+  temperature: settings.temperature,
+  ...(settings.maxTokens ? { max_tokens: settings.maxTokens } : {})
+});
+
+const openai = async (settings) => {
+  if (!isValidApiKey(settings.apiKey)) {
+    throw new Error('No valid OpenAI API key provided. Please set OPENAI_API_KEY environment variable or update config.json');
+  }
+  return callChatCompletions(
+    `${trimSlash(settings.baseUrl || 'https://api.openai.com/v1')}/chat/completions`,
+    { Authorization: `Bearer ${settings.apiKey}` },
+    chatBody(settings),
+    settings,
+    'OpenAI'
+  );
+};
+
+const azure = async (settings) => {
+  if (!isValidApiKey(settings.apiKey)) {
+    throw new Error('No valid Azure OpenAI API key provided. Please set AZURE_OPENAI_API_KEY environment variable or update config.json');
+  }
+  if (!settings.endpoint || !settings.deployment) {
+    throw new Error('Azure OpenAI requires "endpoint" and "deployment" in llm.providers.azure');
+  }
+  const apiVersion = settings.apiVersion || '2024-06-01';
+  return callChatCompletions(
+    `${trimSlash(settings.endpoint)}/openai/deployments/${settings.deployment}/chat/completions?api-version=${apiVersion}`,
+    { 'api-key': settings.apiKey },
+    // The deployment selects the model on Azure
+    { ...chatBody(settings), model: undefined },
+    settings,
+    'Azure OpenAI'
+  );
+};
+
+const openaiCompatible = async (settings) => {
+  if (!settings.baseUrl) {
+    throw new Error('OpenAI-compatible provider requires "baseUrl" in llm.providers["openai-compatible"]');
+  }
+  // Local servers usually need no key
+  const headers = isValidApiKey(settings.apiKey) ? { Authorization: `Bearer ${settings.apiKey}` } : {};
+  return callChatCompletions(
+    `${trimSlash(settings.baseUrl)}/chat/completions`,
+    headers,
+    chatBody(settings),
+    settings,
+    'OpenAI-compatible'
+  );
+};
+
+const anthropic = async (settings) => {
+  if (!isValidApiKey(settings.apiKey)) {
+    throw new Error('No valid Anthropic API key provided. Please set ANTHROPIC_API_KEY environment variable or update config.json');
+  }
+  try {
+    const response = await axios.post(
+      `${trimSlash(settings.baseUrl || 'https://api.anthropic.com/v1')}/messages`,
+      {
+        model: settings.model,
+        max_tokens: settings.maxTokens || 1024,
+        temperature: settings.temperature,
+        messages: [{ role: 'user', content: settings.prompt }]
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': settings.apiKey,
+          'anthropic-version': settings.version || '2023-06-01'
+        },
+        timeout: settings.timeout
+      }
+    );
+    const text = (response.data?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!text) {
+      throw new Error('Response did not contain text content');
+    }
+    return text;
+  } catch (error) {
+    throw new Error('Anthropic API call failed: ' + error.message);
+  }
+};
+
+export const llmProviders = {
+  openai,
+  anthropic,
+  azure,
+  'openai-compatible': openaiCompatible,
+  mock: mockProvider
+};
+
+/**
+ * Creates a provider that delegates completions to the connected MCP client
+ * through a sampling/createMessage request, so the host's own LLM does the work.
+ * Only use it when the client advertises the `sampling` capability.
+ */
+export const createSamplingProvider = (mcpServer) => async (settings) => {
+  try {
+    const result = await mcpServer.createMessage({
+      messages: [{ role: 'user', content: { type: 'text', text: settings.prompt } }],
+      maxTokens: settings.maxTokens || 1024,
+      temperature: settings.temperature,
+      includeContext: 'none'
+    });
+    if (result.content?.type !== 'text') {
+      throw new Error(`Expected text content, got "${result.content?.type}"`);
+    }
+    return result.content.text;
+  } catch (error) {
+    throw new Error('MCP sampling request failed: ' + error.message);
+  }
+};
+
+// Secrets and endpoints that may come from the environment instead of config.json
+const envDefaults = {
+  openai: () => ({ apiKey: process.env.OPENAI_API_KEY, baseUrl: process.env.OPENAI_BASE_URL }),
+  anthropic: () => ({ apiKey: process.env.ANTHROPIC_API_KEY }),
+  azure: () => ({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+  }),
+  'openai-compatible': () => ({ apiKey: process.env.LLM_API_KEY, baseUrl: process.env.LLM_BASE_URL })
+};
+
+// Preserves the original hard-wired behaviour when config.json has no "llm" section
+const DEFAULT_LLM_SETTINGS = {
+  provider: 'openai',
+  temperature: 0.7,
+  timeout: 8000
+};
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  anthropic: 'claude-3-5-haiku-latest'
+};
+
+// Settings a provider cannot run without; on Azure the deployment selects the model
+const REQUIRED_SETTINGS = {
+  openai: ['model'],
+  anthropic: ['model'],
+  azure: ['endpoint', 'deployment'],
+  'openai-compatible': ['baseUrl', 'model']
+};
+
+// Every task callAiApi is called with
+export const LLM_TASKS = ['clarify', 'sql', 'repair', 'summary', 'summary_repair', 'chart'];
+
+const dropEmpty = (obj) =>
+  Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+
+/**
+ * Resolves the settings for one call of a task ('sql', 'summary', ...).
+ * Precedence: llm.tasks[task] > llm > llm.providers[provider] > defaults.
+ * Credentials from environment variables win over those in config.json,
+ * matching how OPENAI_API_KEY was always handled.
+ */
+export const resolveLlmSettings = (config = {}, task) => {
+  const { tasks = {}, providers = {}, ...globalSettings } = config.llm || {};
+  const taskSettings = (task && tasks[task]) || {};
+  // LLM_PROVIDER lets CI switch every task to e.g. the mock provider without editing config.json
+  const provider = process.env.LLM_PROVIDER || taskSettings.provider || globalSettings.provider || DEFAULT_LLM_SETTINGS.provider;
+
+  const legacy = provider === 'openai' ? dropEmpty({ apiKey: config.openaiApiKey }) : {};
+  const env = dropEmpty(envDefaults[provider]?.() || {});
+
+  return {
+    ...DEFAULT_LLM_SETTINGS,
+    model: DEFAULT_MODELS[provider],
+    ...legacy,
+    ...providers[provider],
+    ...env,
+    ...globalSettings,
+    ...taskSettings,
+    provider
+  };
+};
+
+/**
+ * Checks the resolved settings of every task once, at startup, so a missing model or
+ * endpoint stops the server instead of failing every query. API keys are not checked,
+ * since clients with sampling need none.
+ * Throws an error with code 'LLM_CONFIG_INVALID' listing every problem.
+ */
+export const validateLlmConfig = (config = {}) => {
+  const problems = new Map();
+  const report = (problem, task) => problems.set(problem, [...(problems.get(problem) || []), task]);
+
+  LLM_TASKS.forEach(task => {
+    const settings = resolveLlmSettings(config, task);
+    if (!llmProviders[settings.provider]) {
+      report(`unknown provider "${settings.provider}" (use one of: ${Object.keys(llmProviders).join(', ')})`, task);
+      return;
+    }
+    (REQUIRED_SETTINGS[settings.provider] || [])
+      .filter(key => !settings[key])
+      .forEach(key => report(`provider "${settings.provider}" needs "${key}" in llm.providers.${settings.provider} or the environment (see .env.example)`, task));
+  });
+
+  if (problems.size) {
+    const details = [...problems].map(([problem, tasks]) => `${problem} (tasks: ${tasks.join(', ')})`);
+    const error = new Error(`Invalid LLM configuration: ${details.join('; ')}`);
+    error.code = 'LLM_CONFIG_INVALID';
+    throw error;
+  }
+};
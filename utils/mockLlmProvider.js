@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+/**
+ * Deterministic, offline LLM provider for tests and local development.
+ * Answers prompts from a fixture file instead of calling a model:
+ *
+ * {
+ *   "entries": [
+ *     { "question": "Count total users", "sql": "SELECT COUNT(*) AS total FROM users", "summary": "..." },
+ *     { "pattern": "users? from (.+)", "sql": "SELECT * FROM users WHERE city = '$1'" }
+ *   ],
+ *   "defaults": { "summary": "Mock summary of the query results." }
+ * }
+ *
+ * Each entry answers by task name ('sql', 'summary', ...). Prompts without a matching
+ * entry fall back to `defaults[task]`; either way they are recorded as unmatched.
+ * Relative `fixtures` and `unmatchedLog` paths are resolved against the project root
+ * (where config.json lives), not the working directory.
+ */
+
+const log = createLogger('Mock LLM');
+
+const DEFAULT_FIXTURES_FILE = 'fixtures/llm-mock.json';
+const DEFAULT_UNMATCHED_FILE = 'logs/llm-mock-unmatched.jsonl';
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const fixtureCache = new Map();
+const unmatchedPrompts = [];
+
+const loadFixtures = (fixturesFile) => {
+  const filePath = path.resolve(PROJECT_ROOT, fixturesFile);
+  if (!fixtureCache.has(filePath)) {
+    try {
+      const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      fixtureCache.set(filePath, { entries: fixtures.entries || [], defaults: fixtures.defaults || {} });
+    } catch (error) {
+      throw new Error(`Mock LLM could not load fixtures from ${filePath}: ${error.message}`);
+    }
+  }
+  return fixtureCache.get(filePath);
+};
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').replace(/[?.!\s]+$/, '').trim();
+
+/**
+ * Pulls the user's question out of a prompt. Prompt templates quote it on the
+ * line after "... for:"; anything else is matched as a whole.
+ */
+export const extractQuestion = (prompt) => {
+  const match = prompt.match(/for:\s*\n"([\s\S]*?)"\s*\n/);
+  return match ? match[1] : prompt;
+};
+
+const findResponse = (entries, task, question) => {
+  const normalized = normalize(question);
+  for (const entry of entries) {
+    if (entry[task] === undefined) continue;
+    if (entry.question && normalize(entry.question) === normalized) {
+      return entry[task];
+    }
+    if (entry.pattern) {
+      const match = question.trim().replace(/[?.!]+$/, '').match(new RegExp(entry.pattern, 'i'));
+      if (match) {
+        return entry[task].replace(/\$(\d)/g, (_, i) => match[Number(i)] ?? '');
+      }
+    }
+  }
+  return undefined;
+};
+
+const recordUnmatched = (unmatchedFile, record) => {
+  unmatchedPrompts.push(record);
+  if (!unmatchedFile) return;
+  try {
+    const filePath = path.resolve(PROJECT_ROOT, unmatchedFile);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+  } catch (err) {
+    log.warn('Could not record unmatched prompt', { error: err.message });
+  }
+};
+
+export const mockProvider = async (settings) => {
+  const task = settings.task || 'default';
+  const { entries, defaults } = loadFixtures(settings.fixtures || DEFAULT_FIXTURES_FILE);
+  const question = extractQuestion(settings.prompt);
+
+  const response = findResponse(entries, task, question);
+  if (response !== undefined) {
+    return response;
+  }
+
+  recordUnmatched(
+    settings.unmatchedLog === undefined ? DEFAULT_UNMATCHED_FILE : settings.unmatchedLog,
+    { ts: new Date().toISOString(), task, question, prompt: settings.prompt }
+  );
+
+  if (defaults[task] !== undefined) {
+    return defaults[task];
+  }
+  throw new Error(`Mock LLM has no fixture for ${task} prompt: "${question.slice(0, 100)}"`);
+};
+
+/**
+ * Prompts the mock provider could not answer from fixtures, in call order.
+ */
+export const getUnmatchedPrompts = () => [...unmatchedPrompts];
+
+/**
+ * Clears the recorded unmatched prompts and the fixture cache.
+ */
+export const resetMockProvider = () => {
+  unmatchedPrompts.length = 0;
+  fixtureCache.clear();
+};
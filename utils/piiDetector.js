@@ -0,0 +1,169 @@
+/**
+ * Automatic PII detection for result columns.
+ *
+ * Columns are classified by name (email, phone, iban, ...), including the names of the
+ * table columns and JSON keys an aliased or computed column is read from, and, when the
+ * names say nothing, by their values: if most sampled values look like emails, phone numbers,
+ * card numbers, IBANs, IP addresses or national IDs, the column is masked for every
+ * role that is not privileged.
+ *
+ * config.piiDetection:
+ * {
+ *   "enabled": true,
+ *   "privilegedRoles": ["admin"],
+ *   "overrides": { "phone": "full", "order_number": false }   // strategy, or false to never auto-mask
+ * }
+ */
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  privilegedRoles: ['admin'],
+  sampleSize: 50,
+  threshold: 0.8,
+  overrides: {}
+};
+
+// Default masking strategy per PII type (see MASK_STRATEGIES in dataFormatter.js)
+const PII_STRATEGIES = {
+  email: 'email-domain',
+  phone: 'last-4',
+  card_number: 'last-4',
+  iban: 'last-4',
+  ip_address: 'hash',
+  national_id: 'full',
+  credential: 'null'
+};
+
+const NAME_RULES = [
+  { type: 'credential', pattern: /(^|_)(password|passwd|pwd|secret|api_key|token)$|_hash$/ },
+  { type: 'email', pattern: /(^|_)e?mail(_address)?(_|$)/ },
+  { type: 'phone', pattern: /(^|_)(phone|mobile|cell|tel|telephone|fax)(_number|_no)?(_|$)/ },
+  { type: 'card_number', pattern: /(^|_)(card|cc|credit_card|pan)(_number|_no|_num)?$/ },
+  { type: 'iban', pattern: /(^|_)(iban|bank_account|account_number)(_|$)/ },
+  { type: 'ip_address', pattern: /(^|_)ip(_address|_addr|v4|v6)?(_|$)/ },
+  { type: 'national_id', pattern: /(^|_)(ssn|sin|nin|national_id|passport(_number|_no)?|tax_id|tin|social_security(_number)?|id_number)(_|$)/ }
+];
+
+const digitsOf = (text) => text.replace(/\D/g, '');
+
+const luhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616: move the first 4 characters to the end, letters → numbers, mod 97 must be 1
+const ibanValid = (text) => {
+  const rearranged = (text.slice(4) + text.slice(0, 4)).replace(/[A-Z]/g, ch => String(ch.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const ch of rearranged) remainder = (remainder * 10 + Number(ch)) % 97;
+  return remainder === 1;
+};
+
+const VALUE_RULES = [
+  { type: 'email', test: (v) => /^[^\s@]+@[^\s@]+\.[A-Za-z]{2,}$/.test(v) },
+  {
+    type: 'card_number',
+    test: (v) => /^\d[\d -]{11,22}\d$/.test(v) && digitsOf(v).length >= 13 && digitsOf(v).length <= 19 && luhnValid(digitsOf(v))
+  },
+  {
+    type: 'iban',
+    test: (v) => {
+      const compact = v.replace(/\s/g, '').toUpperCase();
+      return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact) && ibanValid(compact);
+    }
+  },
+  {
+    type: 'ip_address',
+    test: (v) =>
+      /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/.test(v) ||
+      (v.includes(':') && /^[0-9a-f:]+$/i.test(v) && v.split(':').length >= 3 && v.split(':').length <= 8)
+  },
+  // US SSN and similar dashed national ID formats
+  { type: 'national_id', test: (v) => /^\d{3}-\d{2}-\d{4}$/.test(v) },
+  // Digits only: E.164 (+4420794601010) or national numbers stored without separators (5551234567)
+  { type: 'phone', test: (v) => /^\+\d{8,15}$|^\d{10,15}$/.test(v) },
+  {
+    type: 'phone',
+    test: (v) =>
+      /^\+?\(?\d[\d\s().-]{5,}\d$/.test(v) &&
+      /[+\s().-]/.test(v) &&
+      !/^\d{4}-\d{2}-\d{2}/.test(v) && // dates
+      !/^\d+\.\d+$/.test(v) && // decimals
+      digitsOf(v).length >= 7 && digitsOf(v).length <= 15
+  }
+];
+
+const classifyByName = (column) => {
+  const name = column.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+  return NAME_RULES.find(rule => rule.pattern.test(name))?.type;
+};
+
+const classifyByValues = (values, threshold) => {
+  const samples = values.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+  if (samples.length === 0) return undefined;
+  const rule = VALUE_RULES.find(r => samples.filter(r.test).length / samples.length >= threshold);
+  return rule?.type;
+};
+
+// Strategies that hide a whole value, for values computed from PII (see maskFieldsForOutput)
+const WHOLE_VALUE_STRATEGIES = new Set(['hash', 'full', 'null']);
+
+/**
+ * Classifies the columns of a result and returns what should be auto-masked for the role.
+ * @param {Array<object>} rows - Query results
+ * @param {object} options - { config: config.piiDetection, role, exclude: columns already masked by config,
+ *   canHash: false without a hash salt, so types that default to 'hash' are fully masked instead,
+ *   outputColumns: the table columns each result column is read from (resolveOutputColumns in sqlValidator.js) }
+ * @returns {{ fields: object, report: Array<{ column, type, strategy, detectedBy }> }}
+ *   `fields` is a { column: strategy } map for maskSensitiveFields
+ */
+export const detectPiiColumns = (rows, { config = {}, role = 'guest', exclude = [], canHash = true, outputColumns = [] } = {}) => {
+  const { enabled, privilegedRoles, sampleSize, threshold, overrides } = { ...DEFAULT_OPTIONS, ...config };
+  const result = { fields: {}, report: [] };
+  if (!enabled || privilegedRoles.includes(role) || !Array.isArray(rows) || rows.length === 0) {
+    return result;
+  }
+
+  const excluded = new Set(exclude.map(name => name.toLowerCase()));
+  const overrideFor = (column) =>
+    Object.entries(overrides).find(([name]) => name.toLowerCase() === column.toLowerCase())?.[1];
+  const sample = rows.slice(0, sampleSize);
+  const columns = [...new Set(sample.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : [])))];
+  const listed = new Set(outputColumns.map(({ name }) => name.toLowerCase()));
+  const sourcesOf = (column) => outputColumns.filter(({ name }) =>
+    name.toLowerCase() === column.toLowerCase() || (name === '*' && !listed.has(column.toLowerCase())));
+
+  columns.forEach(column => {
+    if (excluded.has(column.toLowerCase())) return;
+    const outputs = sourcesOf(column);
+    const derived = outputs.some(output => output.derived);
+    // The result column's own name first, then the table columns and JSON keys it is read from
+    const names = [...new Set([column, ...outputs.flatMap(({ sources, keys, derived: computed }) => (computed ? [...sources, ...keys] : sources))])];
+    const override = names.map(overrideFor).find(value => value !== undefined);
+    if (override === false) return;
+
+    let type = names.map(classifyByName).find(Boolean);
+    let detectedBy = 'name';
+    if (!type) {
+      type = classifyByValues(sample.map(row => row?.[column]), threshold);
+      detectedBy = 'values';
+    }
+    if (!type && typeof override !== 'string') return;
+
+    let detected = PII_STRATEGIES[type] === 'hash' && !canHash ? 'full' : PII_STRATEGIES[type];
+    if (derived && detectedBy === 'name' && detected && !WHOLE_VALUE_STRATEGIES.has(detected)) detected = 'full';
+    const strategy = typeof override === 'string' ? override : detected;
+    result.fields[column] = strategy;
+    result.report.push({ column, type: type || 'configured', strategy, detectedBy: type ? detectedBy : 'override' });
+  });
+
+  return result;
+};
@@ -0,0 +1,103 @@
+/**
+ * Aggregates over a full result set, computed on the server so the summarizer
+ * (and the summary fact-check) can rely on exact numbers instead of a row sample.
+ *
+ * {
+ *   rowCount: 42,
+ *   columns: {
+ *     total_amount: { type: 'numeric', count: 42, nulls: 0, min: 5, max: 980, avg: 120.5, sum: 5061 },
+ *     status: { type: 'categorical', count: 42, nulls: 0, distinct: 3, top: [{ value: 'pending', count: 20 }] },
+ *     order_date: { type: 'date', count: 42, nulls: 0, min: '2024-01-02T...', max: '2024-06-30T...' }
+ *   }
+ * }
+ */
+
+const DEFAULT_TOP_VALUES = 5;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const columnType = (values) => {
+  if (values.every(v => typeof v === 'number' && Number.isFinite(v))) return 'numeric';
+  if (values.every(v => v instanceof Date || (typeof v === 'string' && ISO_DATE.test(v)))) return 'date';
+  if (values.every(v => typeof v === 'boolean')) return 'boolean';
+  if (values.every(v => typeof v !== 'object')) return 'categorical';
+  return 'other';
+};
+
+// A loop rather than Math.min(...values): spreading large results overflows the call stack
+const minMax = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { min, max };
+};
+
+const numericStats = (values) => {
+  const sum = values.reduce((total, v) => total + v, 0);
+  const { min, max } = minMax(values);
+  return {
+    min,
+    max,
+    avg: round(sum / values.length),
+    sum: round(sum)
+  };
+};
+
+const dateStats = (values) => {
+  const times = values.map(v => new Date(v).getTime()).filter(Number.isFinite);
+  if (times.length === 0) return {};
+  const { min, max } = minMax(times);
+  return {
+    min: new Date(min).toISOString(),
+    max: new Date(max).toISOString()
+  };
+};
+
+const valueCounts = (values, topValues) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
+  return {
+    distinct: counts.size,
+    top: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, topValues)
+      .map(([value, count]) => ({ value, count }))
+  };
+};
+
+/**
+ * Computes per-column statistics for a result set.
+ * Pass masked rows: the statistics are sent to the LLM.
+ * @param {Array<object>} rows - Query results
+ * @param {object} options - { topValues } number of most frequent values per categorical column
+ * @returns {{ rowCount: number, columns: object }}
+ */
+export const computeResultStats = (rows, { topValues = DEFAULT_TOP_VALUES } = {}) => {
+  const records = Array.isArray(rows) ? rows.filter(row => row && typeof row === 'object') : [];
+  const columnNames = [...new Set(records.flatMap(row => Object.keys(row)))];
+
+  const columns = {};
+  columnNames.forEach(name => {
+    const all = records.map(row => row[name]);
+    const values = all.filter(v => v !== null && v !== undefined);
+    const type = values.length ? columnType(values) : 'empty';
+    const base = { type, count: values.length, nulls: all.length - values.length };
+
+    if (type === 'numeric') {
+      columns[name] = { ...base, ...numericStats(values) };
+    } else if (type === 'date') {
+      columns[name] = { ...base, ...dateStats(values) };
+    } else if (type === 'categorical' || type === 'boolean') {
+      columns[name] = { ...base, ...valueCounts(values, topValues) };
+    } else {
+      columns[name] = base;
+    }
+  });
+
+  return { rowCount: records.length, columns };
+};
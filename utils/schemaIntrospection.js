@@ -0,0 +1,211 @@
+/**
+ * Database schema discovery.
+ *
+ * Both the direct PostgreSQL path and the get_schema_details RPC run the catalog
+ * queries below and feed the rows to buildSchemaFromCatalog. When neither is
+ * available, buildSchemaFromOpenApi reads the PostgREST OpenAPI description that
+ * Supabase serves for every exposed table and view.
+ *
+ * Resulting shape, keyed by table name (qualified as "schema.table" outside public):
+ * {
+ *   users: {
+ *     schema: 'public', name: 'users', type: 'table',
+ *     description: 'Customer information',
+ *     primaryKey: ['id'],
+ *     foreignKeys: [{ columns: ['org_id'], references: { table: 'orgs', columns: ['id'] } }],
+ *     columns: [{ name, type, nullable, default, maxLength, isPrimaryKey, enumValues, description }]
+ *   }
+ * }
+ */
+
+export const DEFAULT_SCHEMAS = ['public'];
+
+/**
+ * Schemas to introspect: DB_SCHEMAS (comma separated) > config.database.schemas > ['public']
+ */
+export const getSchemaNames = (config = {}) => {
+  if (process.env.DB_SCHEMAS) {
+    return process.env.DB_SCHEMAS.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  const configured = config.database?.schemas;
+  return Array.isArray(configured) && configured.length ? configured : DEFAULT_SCHEMAS;
+};
+
+// One row per column of every table, view, materialized view and foreign table
+export const CATALOG_COLUMNS_SQL = `
+  SELECT
+    n.nspname AS table_schema,
+    c.relname AS table_name,
+    CASE c.relkind
+      WHEN 'v' THEN 'view'
+      WHEN 'm' THEN 'materialized view'
+      WHEN 'f' THEN 'foreign table'
+      ELSE 'table'
+    END AS table_type,
+    obj_description(c.oid, 'pg_class') AS table_comment,
+    a.attname AS column_name,
+    format_type(a.atttypid, a.atttypmod) AS data_type,
+    NOT a.attnotnull AS is_nullable,
+    pg_get_expr(ad.adbin, ad.adrelid) AS column_default,
+    CASE WHEN a.atttypmod > 4 AND t.typcategory = 'S' THEN a.atttypmod - 4 END AS max_length,
+    col_description(c.oid, a.attnum) AS column_comment,
+    CASE WHEN t.typtype = 'e' THEN (
+      SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder) FROM pg_enum e WHERE e.enumtypid = t.oid
+    ) END AS enum_values,
+    EXISTS (
+      SELECT 1 FROM pg_index i WHERE i.indrelid = c.oid AND i.indisprimary AND a.attnum = ANY(i.indkey)
+    ) AS is_primary_key
+  FROM pg_class c
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+  JOIN pg_type t ON t.oid = a.atttypid
+  LEFT JOIN pg_attrdef ad ON ad.adrelid = c.oid AND ad.adnum = a.attnum
+  WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    AND n.nspname = ANY(?::text[])
+    AND NOT c.relispartition
+  ORDER BY n.nspname, c.relname, a.attnum
+`;
+
+// One row per foreign key constraint, with column lists in key order
+export const CATALOG_FOREIGN_KEYS_SQL = `
+  SELECT
+    n.nspname AS table_schema,
+    c.relname AS table_name,
+    fn.nspname AS foreign_table_schema,
+    fc.relname AS foreign_table_name,
+    ARRAY(
+      SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY k(attnum, ord)
+      JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum ORDER BY k.ord
+    ) AS columns,
+    ARRAY(
+      SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY k(attnum, ord)
+      JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum ORDER BY k.ord
+    ) AS foreign_columns
+  FROM pg_constraint con
+  JOIN pg_class c ON c.oid = con.conrelid
+  JOIN pg_namespace n ON n.oid = c.relnamespace
+  JOIN pg_class fc ON fc.oid = con.confrelid
+  JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+  WHERE con.contype = 'f'
+    AND n.nspname = ANY(?::text[])
+  ORDER BY n.nspname, c.relname, con.conname
+`;
+
+/**
+ * Key used for a table in the schema object: bare name in public, "schema.table" elsewhere.
+ */
+export const tableKey = (schemaName, tableName) =>
+  schemaName === 'public' ? tableName : `${schemaName}.${tableName}`;
+
+// Postgres arrays arrive as JS arrays from pg, but as '{a,b}' strings through some JSON paths
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.startsWith('{')) {
+    return value.slice(1, -1).split(',').filter(Boolean).map(v => v.replace(/^"|"$/g, ''));
+  }
+  return [];
+};
+
+/**
+ * Builds the schema object from CATALOG_COLUMNS_SQL and CATALOG_FOREIGN_KEYS_SQL rows.
+ */
+export const buildSchemaFromCatalog = (columnRows = [], foreignKeyRows = []) => {
+  const schema = {};
+
+  columnRows.forEach(row => {
+    const key = tableKey(row.table_schema, row.table_name);
+    schema[key] ??= {
+      schema: row.table_schema,
+      name: row.table_name,
+      type: row.table_type,
+      description: row.table_comment || `${row.table_type === 'table' ? 'Table' : 'View'}: ${key}`,
+      primaryKey: [],
+      foreignKeys: [],
+      columns: []
+    };
+
+    const enumValues = toArray(row.enum_values);
+    schema[key].columns.push({
+      name: row.column_name,
+      type: row.data_type,
+      nullable: row.is_nullable === true || row.is_nullable === 'YES',
+      default: row.column_default,
+      maxLength: row.max_length ?? null,
+      isPrimaryKey: Boolean(row.is_primary_key),
+      ...(enumValues.length ? { enumValues } : {}),
+      ...(row.column_comment ? { description: row.column_comment } : {})
+    });
+    if (row.is_primary_key) {
+      schema[key].primaryKey.push(row.column_name);
+    }
+  });
+
+  foreignKeyRows.forEach(row => {
+    const table = schema[tableKey(row.table_schema, row.table_name)];
+    if (!table) return;
+    table.foreignKeys.push({
+      columns: toArray(row.columns),
+      references: {
+        table: tableKey(row.foreign_table_schema, row.foreign_table_name),
+        columns: toArray(row.foreign_columns)
+      }
+    });
+  });
+
+  return schema;
+};
+
+// PostgREST appends these notes to column descriptions
+const PK_NOTE = /<pk\/>/;
+const FK_NOTE = /<fk table='([^']+)' column='([^']+)'\/>/;
+const stripNotes = (text = '') => text.split('\n\nNote:')[0].replace(/^Note:[\s\S]*$/, '').trim();
+
+/**
+ * Builds the schema object from a PostgREST OpenAPI (Swagger 2.0) document.
+ * Column types come from the "format" PostgREST reports (the Postgres type name).
+ */
+export const buildSchemaFromOpenApi = (spec, schemaName = 'public') => {
+  const schema = {};
+
+  Object.entries(spec?.definitions || {}).forEach(([tableName, definition]) => {
+    const key = tableKey(schemaName, tableName);
+    const required = new Set(definition.required || []);
+    const table = {
+      schema: schemaName,
+      name: tableName,
+      description: definition.description || `Table: ${key}`,
+      primaryKey: [],
+      foreignKeys: [],
+      columns: []
+    };
+
+    Object.entries(definition.properties || {}).forEach(([columnName, prop]) => {
+      const description = prop.description || '';
+      const isPrimaryKey = PK_NOTE.test(description);
+      const fk = description.match(FK_NOTE);
+      const comment = stripNotes(description);
+
+      table.columns.push({
+        name: columnName,
+        type: prop.format || prop.type,
+        nullable: !required.has(columnName),
+        default: prop.default ?? null,
+        maxLength: prop.maxLength ?? null,
+        isPrimaryKey,
+        ...(prop.enum ? { enumValues: prop.enum } : {}),
+        ...(comment ? { description: comment } : {})
+      });
+      if (isPrimaryKey) table.primaryKey.push(columnName);
+      if (fk) {
+        table.foreignKeys.push({
+          columns: [columnName],
+          references: { table: tableKey(schemaName, fk[1]), columns: [fk[2]] }
+        });
+      }
+    });
+
+    schema[key] = table;
+  });
+
+  return schema;
+};
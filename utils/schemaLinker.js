@@ -0,0 +1,225 @@
+/**
+ * Schema linking: picks the tables and columns relevant to a natural language
+ * question and renders them as compact DDL within a token budget, instead of
+ * dumping (and truncating) the whole schema into the prompt.
+ */
+
+const DEFAULT_OPTIONS = {
+  tokenBudget: 1500,
+  maxTables: 8
+};
+
+// Common business vocabulary → words likely to appear in table/column names.
+// Extend or override per database with config.schemaLinking.synonyms.
+const DEFAULT_SYNONYMS = {
+  customer: ['user', 'client', 'account'],
+  client: ['user', 'customer', 'account'],
+  buyer: ['user', 'customer'],
+  people: ['user', 'person'],
+  purchase: ['order', 'transaction'],
+  sale: ['order', 'transaction', 'amount'],
+  revenue: ['amount', 'total', 'price'],
+  spend: ['amount', 'total', 'price'],
+  income: ['amount', 'total'],
+  cost: ['price', 'amount'],
+  item: ['product'],
+  goods: ['product'],
+  inventory: ['stock', 'quantity'],
+  where: ['city', 'country', 'address'],
+  location: ['city', 'country', 'address'],
+  when: ['date', 'created'],
+  recent: ['date', 'created'],
+  month: ['date', 'created'],
+  year: ['date', 'created'],
+  week: ['date', 'created']
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'for', 'to', 'in', 'on', 'by', 'with', 'and', 'or', 'is', 'are', 'was',
+  'be', 'me', 'my', 'all', 'any', 'show', 'list', 'find', 'get', 'give', 'what', 'which', 'who',
+  'how', 'many', 'much', 'do', 'does', 'have', 'has', 'that', 'this', 'from', 'their', 'each', 'per'
+]);
+
+// Crude singularisation so "orders" matches "order" and "categories" matches "category"
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && /(sses|shes|ches|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text = '') =>
+  String(text)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+
+/**
+ * Expands question keywords with synonyms. Each term carries a weight:
+ * words from the question count fully, synonyms a bit less.
+ */
+const buildQueryTerms = (nlQuery, synonyms) => {
+  const terms = new Map();
+  tokenize(nlQuery)
+    .filter(word => !STOP_WORDS.has(word))
+    .forEach(word => {
+      terms.set(word, 1);
+      (synonyms[word] || []).forEach(syn => {
+        tokenize(syn).forEach(token => {
+          if (!terms.has(token)) terms.set(token, 0.7);
+        });
+      });
+    });
+  return terms;
+};
+
+const scoreTokens = (tokens, terms) =>
+  tokens.reduce((score, token) => score + (terms.get(token) || 0), 0);
+
+/**
+ * Scores every table and column of the schema against the question.
+ * Returns [{ key, score, columnScores: Map<columnName, score> }] sorted by score.
+ */
+export const rankSchema = (schema, nlQuery, { synonyms = {} } = {}) => {
+  const terms = buildQueryTerms(nlQuery, { ...DEFAULT_SYNONYMS, ...synonyms });
+
+  return Object.entries(schema)
+    .map(([key, table]) => {
+      const columnScores = new Map();
+      (table.columns || []).forEach(col => {
+        const score =
+          scoreTokens(tokenize(col.name), terms) * 2 +
+          scoreTokens(tokenize(col.description), terms) * 0.5 +
+          scoreTokens((col.enumValues || []).flatMap(v => tokenize(v)), terms) * 1.5;
+        if (score > 0) columnScores.set(col.name, score);
+      });
+
+      const columnTotal = [...columnScores.values()].reduce((a, b) => a + b, 0);
+      const score =
+        scoreTokens(tokenize(table.name || key), terms) * 5 +
+        scoreTokens(tokenize(table.description), terms) * 0.5 +
+        Math.min(columnTotal, 6);
+
+      return { key, score, columnScores };
+    })
+    .sort((a, b) => b.score - a.score || a.key.localeCompare(b.key));
+};
+
+/**
+ * Tables linked to `key` by a foreign key in either direction.
+ */
+const neighborsOf = (schema, key) => {
+  const neighbors = new Set((schema[key]?.foreignKeys || []).map(fk => fk.references.table));
+  Object.entries(schema).forEach(([otherKey, table]) => {
+    if ((table.foreignKeys || []).some(fk => fk.references.table === key)) neighbors.add(otherKey);
+  });
+  neighbors.delete(key);
+  return [...neighbors].filter(n => schema[n]);
+};
+
+// ~4 characters per token is a good enough estimate for budgeting
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+const quoteIdent = (name) => (/^[a-z_][a-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`);
+const quoteTable = (table, key) =>
+  table.schema && table.schema !== 'public' ? `${quoteIdent(table.schema)}.${quoteIdent(table.name)}` : quoteIdent(table.name || key);
+
+/**
+ * Renders one table as a CREATE TABLE/VIEW statement with comments.
+ * `columnFilter` limits the columns shown (key columns are always kept).
+ */
+export const renderTableDdl = (key, table, columnFilter) => {
+  const fkByColumn = new Map();
+  (table.foreignKeys || []).forEach(fk => {
+    if (fk.columns.length === 1) fkByColumn.set(fk.columns[0], fk.references);
+  });
+
+  const columns = (table.columns || []).filter(col =>
+    !columnFilter || columnFilter.has(col.name) || col.isPrimaryKey || fkByColumn.has(col.name)
+  );
+
+  const lines = columns.map(col => {
+    let line = `  ${quoteIdent(col.name)} ${col.type}`;
+    if (col.isPrimaryKey && (table.primaryKey || []).length === 1) line += ' PRIMARY KEY';
+    else if (col.nullable === false) line += ' NOT NULL';
+    const ref = fkByColumn.get(col.name);
+    if (ref) line += ` REFERENCES ${ref.table}(${ref.columns.join(', ')})`;
+
+    const notes = [];
+    if (col.enumValues?.length) notes.push(`values: ${col.enumValues.map(v => `'${v}'`).join(', ')}`);
+    if (col.description) notes.push(col.description.replace(/\s+/g, ' '));
+    return { line, notes };
+  });
+
+  if ((table.primaryKey || []).length > 1) {
+    lines.push({ line: `  PRIMARY KEY (${table.primaryKey.map(quoteIdent).join(', ')})`, notes: [] });
+  }
+  (table.foreignKeys || []).filter(fk => fk.columns.length > 1).forEach(fk => {
+    lines.push({
+      line: `  FOREIGN KEY (${fk.columns.map(quoteIdent).join(', ')}) REFERENCES ${fk.references.table}(${fk.references.columns.join(', ')})`,
+      notes: []
+    });
+  });
+
+  const body = lines
+    .map(({ line, notes }, i) => `${line}${i < lines.length - 1 ? ',' : ''}${notes.length ? ` -- ${notes.join('; ')}` : ''}`)
+    .join('\n');
+
+  const kind = table.type && table.type !== 'table' ? table.type.toUpperCase() : 'TABLE';
+  const omitted = (table.columns || []).length - columns.length;
+  const header = table.description ? `-- ${table.description.replace(/\s+/g, ' ')}\n` : '';
+  const footer = omitted > 0 ? `\n-- (${omitted} more columns omitted)` : '';
+
+  return `${header}CREATE ${kind} ${quoteTable(table, key)} (\n${body}\n);${footer}`;
+};
+
+/**
+ * Selects the schema subset relevant to `nlQuery` and renders it as DDL.
+ * @param {object} schema - Output of getDbSchema()
+ * @param {string} nlQuery - The user's question
+ * @param {object} options - { tokenBudget, maxTables, synonyms } (config.schemaLinking)
+ * @returns {{ tables: string[], ddl: string, tokens: number }}
+ */
+export const selectRelevantSchema = (schema, nlQuery, options = {}) => {
+  const { tokenBudget, maxTables, synonyms } = { ...DEFAULT_OPTIONS, ...options };
+  const ranked = rankSchema(schema, nlQuery, { synonyms });
+  const rankByKey = new Map(ranked.map(r => [r.key, r]));
+
+  // Matched tables first, then their FK neighbours (needed for JOINs).
+  // If nothing matches at all, offer every table in name order and let the budget decide.
+  const matched = ranked.filter(r => r.score > 0).map(r => r.key);
+  const candidates = [...matched];
+  matched.forEach(key => {
+    neighborsOf(schema, key).forEach(n => {
+      if (!candidates.includes(n)) candidates.push(n);
+    });
+  });
+  if (candidates.length === 0) {
+    candidates.push(...ranked.map(r => r.key));
+  }
+
+  const chosen = [];
+  const blocks = [];
+  let tokens = 0;
+
+  for (const key of candidates) {
+    if (chosen.length >= maxTables) break;
+
+    const full = renderTableDdl(key, schema[key]);
+    let block = full;
+    if (tokens + estimateTokens(full) > tokenBudget) {
+      // Fall back to key columns plus the columns the question mentions
+      const relevantColumns = new Set(rankByKey.get(key)?.columnScores.keys() || []);
+      block = renderTableDdl(key, schema[key], relevantColumns);
+      if (tokens + estimateTokens(block) > tokenBudget) continue;
+    }
+
+    chosen.push(key);
+    blocks.push(block);
+    tokens += estimateTokens(block) + 1;
+  }
+
+  return { tables: chosen, ddl: blocks.join('\n\n'), tokens };
+};
@@ -0,0 +1,115 @@
+/**
+ * Conversation sessions for follow-up questions ("now only for last month").
+ * Each session keeps its last turns: the question, the SQL that answered it
+ * and the shape of the result (columns and row count, never the rows).
+ *
+ * The store is pluggable: anything with async get(id) / append(id, turn) / clear(id)
+ * can replace the in-memory default via setSessionStore (e.g. a Redis-backed store).
+ *
+ * Sessions are stored under a key combining the caller's role, their identity and the
+ * session_id they send, so a reused or guessed id never exposes another caller's
+ * questions and SQL.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxTurns: 5,
+  ttlMinutes: 30,
+  maxSessions: 1000
+};
+
+/**
+ * In-memory store. Sessions expire after `ttlMinutes` without activity and the
+ * least recently used session is evicted beyond `maxSessions`.
+ */
+export const createMemorySessionStore = (options = {}) => {
+  const { maxTurns, ttlMinutes, maxSessions } = { ...DEFAULT_OPTIONS, ...options };
+  const ttlMs = ttlMinutes * 60 * 1000;
+  const sessions = new Map();
+
+  const getFresh = (id) => {
+    const session = sessions.get(id);
+    if (session && Date.now() - session.updatedAt > ttlMs) {
+      sessions.delete(id);
+      return undefined;
+    }
+    return session;
+  };
+
+  return {
+    async get(id) {
+      return getFresh(id)?.turns.map(turn => ({ ...turn })) || [];
+    },
+
+    async append(id, turn) {
+      const session = getFresh(id) || { turns: [] };
+      session.turns = [...session.turns, turn].slice(-maxTurns);
+      session.updatedAt = Date.now();
+      // Re-insert so Map order stays least → most recently used
+      sessions.delete(id);
+      sessions.set(id, session);
+      if (sessions.size > maxSessions) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    },
+
+    async clear(id) {
+      sessions.delete(id);
+    }
+  };
+};
+
+let sessionStore = null;
+
+/**
+ * Replaces the session store used by the query handlers.
+ */
+export const setSessionStore = (store) => {
+  sessionStore = store;
+};
+
+/**
+ * Returns the active store, creating the in-memory one from config.sessions on first use.
+ */
+export const getSessionStore = (config = {}) => {
+  if (!sessionStore) {
+    sessionStore = createMemorySessionStore(config.sessions);
+  }
+  return sessionStore;
+};
+
+/**
+ * Store key of a session: role, caller identity and the client's session id.
+ * Authenticated callers are identified by user; anonymous ones by their MCP session,
+ * IP address or, for stdio (a single local client), the transport.
+ * @param {string} sessionId - session_id sent by the client
+ * @param {object} owner - { role, caller } as passed to executeNaturalLanguageQueryTool
+ */
+export const sessionKey = (sessionId, { role, caller = {} } = {}) => {
+  const identity = caller.user
+    ? ['user', caller.user]
+    : [caller.transport, caller.mcp_session ?? caller.ip ?? null];
+  return JSON.stringify([role ?? null, ...identity, sessionId]);
+};
+
+/**
+ * Previous turns of a session, oldest first. Empty without a session id.
+ * @param {object} owner - { role, caller }, see sessionKey
+ */
+export const loadSessionHistory = async (sessionId, config, owner) =>
+  sessionId ? getSessionStore(config).get(sessionKey(sessionId, owner)) : [];
+
+/**
+ * Records an answered question in the session (no-op without a session id).
+ * @param {object} owner - { role, caller }, see sessionKey
+ */
+export const recordSessionTurn = async (sessionId, { question, sql, results }, config, owner) => {
+  if (!sessionId) return;
+  const rows = Array.isArray(results) ? results : [];
+  await getSessionStore(config).append(sessionKey(sessionId, owner), {
+    question,
+    sql,
+    columns: rows.length ? Object.keys(rows[0]) : [],
+    rowCount: rows.length,
+    ts: new Date().toISOString()
+  });
+};
@@ -0,0 +1,88 @@
+import { executeDbQuery } from './dbHelpers.js';
+import { callAiApi } from './aiHelpers.js';
+import { generateRepairPrompt } from './aiPrompts.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('SQL Repair');
+
+const DEFAULT_MAX_REPAIRS = 2;
+
+// Failures a different query would not fix: the cost guard's verdict, or no EXPLAIN support
+const NOT_REPAIRABLE = new Set(['COST_LIMIT_EXCEEDED', 'QUERY_CANCELLED', 'EXPLAIN_UNAVAILABLE']);
+
+/**
+ * Runs generated SQL and, when validation or execution fails, asks the LLM to fix it.
+ * The failing SQL and the database error are sent back with the schema, up to
+ * config.sqlRepair.maxAttempts extra times.
+ *
+ * @param {string} generatedQuery - First SQL produced by the LLM
+ * @param {object} context - { nlQuery, ddl, dbType, appConfig, sampler, accessPolicy, schema };
+ *   { run } replaces executeDbQuery, e.g. validateDbQuery or explainDbQuery to check SQL without running it
+ * @returns {Promise<{ results: any, sql: string, attempts: Array<{attempt, sql, status, error?, reasons?, rows?}> }>}
+ *   On final failure the thrown error carries `attempts` (and `reasons` from the last rejection).
+ *   Cost guard errors (utils/costGuard.js) are rethrown as they are, with `attempts`.
+ */
+export const executeWithRepair = async (generatedQuery, {
+  nlQuery, ddl, dbType, appConfig = {}, sampler, accessPolicy, schema, run = executeDbQuery
+}) => {
+  const maxRepairs = appConfig.sqlRepair?.maxAttempts ?? DEFAULT_MAX_REPAIRS;
+  const attempts = [];
+  let sql = generatedQuery;
+  let lastError;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const results = await run(sql, { accessPolicy, schema });
+      attempts.push({ attempt, sql, status: 'ok', ...(Array.isArray(results) ? { rows: results.length } : {}) });
+      return { results, sql, attempts };
+    } catch (error) {
+      lastError = error;
+      attempts.push({
+        attempt,
+        sql,
+        status: 'failed',
+        error: error.message,
+        ...(error.reasons ? { reasons: error.reasons } : {})
+      });
+      log.warn(`Attempt ${attempt} failed`, { error: error.message });
+
+      if (NOT_REPAIRABLE.has(error.code)) {
+        error.attempts = attempts;
+        throw error;
+      }
+      if (attempt > maxRepairs) {
+        const finalError = new Error(
+          attempt > 1 ? `Query failed after ${attempt} attempts: ${error.message}` : error.message
+        );
+        finalError.code = error.code;
+        finalError.reasons = error.reasons;
+        finalError.attempts = attempts;
+        throw finalError;
+      }
+    }
+
+    // Parser messages are only in the reason detail, and they are what the model needs to fix syntax
+    const failures = attempts.map(a => ({
+      sql: a.sql,
+      error: [a.error, ...(a.reasons || []).filter(r => r.code === 'PARSE_ERROR').map(r => r.detail)].join(' ')
+    }));
+    try {
+      sql = await callAiApi(generateRepairPrompt(ddl, dbType, nlQuery, failures), appConfig, { task: 'repair', sampler });
+    } catch (error) {
+      const finalError = new Error(`Query failed and could not be repaired: ${lastError.message} (${error.message})`);
+      finalError.code = lastError.code;
+      finalError.reasons = lastError.reasons;
+      finalError.attempts = attempts;
+      throw finalError;
+    }
+
+    // A repair that repeats an earlier query would fail the same way
+    if (attempts.some(a => a.sql.trim() === String(sql).trim())) {
+      const finalError = new Error(`Query failed and the repair repeated an earlier attempt: ${lastError.message}`);
+      finalError.code = lastError.code;
+      finalError.reasons = lastError.reasons;
+      finalError.attempts = attempts;
+      throw finalError;
+    }
+  }
+};
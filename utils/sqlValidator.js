@@ -0,0 +1,340 @@
+import sqlParser from 'node-sql-parser/build/postgresql.js';
+import { tableKey } from './schemaIntrospection.js';
+import { findAccessViolations } from './accessPolicy.js';
+
+/**
+ * AST-based safety checks for AI-generated SQL, shared by every entry point
+ * (MCP tool, HTTP API, scripts) through executeDbQuery.
+ *
+ * A query passes only if it parses as exactly one read-only SELECT/WITH statement
+ * that contains no write operations and calls no dangerous functions. With an access
+ * policy (utils/accessPolicy.js) it must also only reference permitted tables and columns.
+ */
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+const PARSER_OPTIONS = { database: 'PostgresQL' };
+
+// Functions that sleep, reach outside the database, touch files/large objects,
+// change settings, write sequences or execute SQL passed as a string.
+const DENIED_FUNCTION_PATTERNS = [
+  /^pg_sleep/,
+  /^dblink/,
+  /^lo_/,
+  /^(set_config|current_setting)$/,
+  /^pg_read_/,
+  /^pg_ls_/,
+  /^pg_stat_file$/,
+  /^pg_(terminate|cancel)_backend$/,
+  /^pg_reload_conf$/,
+  /^pg_(try_)?advisory/,
+  /^pg_(create|drop)_/,
+  /^pg_switch_wal$/,
+  /^pg_notify$/,
+  /^(nextval|setval)$/,
+  /^(query|cursor|table)_to_xml/,
+  /^(execute_sql|query_data)$/
+];
+
+const WRITE_STATEMENT_TYPES = new Set([
+  'insert', 'update', 'delete', 'replace', 'create', 'drop', 'alter',
+  'truncate', 'rename', 'grant', 'revoke', 'transaction', 'set', 'lock', 'call', 'exec'
+]);
+
+/**
+ * Strips markdown code fences, surrounding whitespace and trailing semicolons
+ * that LLMs commonly add around the SQL.
+ */
+export const normalizeSql = (sql) => {
+  let cleaned = String(sql ?? '').trim();
+  const fenced = cleaned.match(/^```(?:sql|postgresql|postgres)?\s*\n?([\s\S]*?)\n?```$/i);
+  if (fenced) cleaned = fenced[1].trim();
+  return cleaned.replace(/;+\s*$/, '').trim();
+};
+
+const reason = (code, message, detail) => (detail === undefined ? { code, message } : { code, message, detail });
+
+// Depth-first walk over every object in the AST
+const walk = (node, visit) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit));
+  } else if (node && typeof node === 'object') {
+    visit(node);
+    Object.values(node).forEach(child => walk(child, visit));
+  }
+};
+
+const functionName = (node) => {
+  const { name } = node;
+  if (typeof name === 'string') return name;
+  if (Array.isArray(name?.name)) return name.name.map(part => part.value).join('.');
+  return '';
+};
+
+const cteNames = (ast) => {
+  const names = new Set();
+  walk(ast, node => {
+    if (Array.isArray(node.with)) {
+      node.with.forEach(cte => {
+        const name = typeof cte.name === 'string' ? cte.name : cte.name?.value;
+        if (name) names.add(name.toLowerCase());
+      });
+    }
+  });
+  return names;
+};
+
+// FROM items by alias and by table name → schema key, to spot whole-row references like row_to_json(u)
+const fromItems = (ast) => {
+  const items = new Map();
+  walk(ast, node => {
+    if (node.type === undefined && typeof node.table === 'string' && 'as' in node) {
+      const key = tableKey(node.db || node.schema || 'public', node.table);
+      items.set(node.table.toLowerCase(), key);
+      if (node.as) items.set(String(node.as).toLowerCase(), key);
+    }
+  });
+  return items;
+};
+
+// ---- Output columns ----
+
+// Operators reading a JSON key: profile->>'tax_id', data #> '{address,zip}'
+const JSON_OPERATORS = new Set(['->', '->>', '#>', '#>>']);
+
+const columnName = (ref) => (typeof ref.column === 'string' ? ref.column : ref.column?.expr?.value);
+const tableAlias = (ref) => String((typeof ref.table === 'string' ? ref.table : ref.table?.value) ?? '').toLowerCase();
+
+// PostgreSQL's name for an unaliased select-list expression
+const defaultName = (expr) => {
+  if (expr.type === 'column_ref') return columnName(expr);
+  if (expr.type === 'cast') return defaultName(expr.expr);
+  if (expr.type === 'function' || expr.type === 'aggr_func') return functionName(expr).split('.').pop().toLowerCase();
+  return '?column?';
+};
+
+// Column references, scalar subqueries and JSON keys in an expression; COUNT() reveals no values
+const collectReferences = (node, found = { refs: [], subqueries: [], keys: [] }) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectReferences(child, found));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'column_ref') {
+      found.refs.push(node);
+    } else if (node.ast) {
+      found.subqueries.push(node.ast);
+    } else if (!(node.type === 'aggr_func' && String(node.name).toLowerCase() === 'count')) {
+      if (node.type === 'binary_expr' && JSON_OPERATORS.has(node.operator) && typeof node.right?.value === 'string') {
+        found.keys.push(...node.right.value.replace(/[{}"]/g, '').split(',').map(key => key.trim().toLowerCase()));
+      }
+      Object.values(node).forEach(child => collectReferences(child, found));
+    }
+  }
+  return found;
+};
+
+const mergeOutput = (target, { sources, keys, derived }) => {
+  target.sources = [...new Set([...target.sources, ...sources])];
+  target.keys = [...new Set([...target.keys, ...keys])];
+  target.derived = target.derived || derived;
+};
+
+/**
+ * Output columns of one SELECT. Columns of a table reached through `*` keep their names
+ * and are not listed; a '*' entry stands for columns whose names cannot be told apart
+ * (a UNION with `*`) and applies to every unlisted result column.
+ * @param {Map} ctes - CTE name → its output columns
+ */
+const selectOutputs = (select, ctes) => {
+  const scope = new Map(ctes);
+  (select.with || []).forEach(cte => {
+    const name = typeof cte.name === 'string' ? cte.name : cte.name?.value;
+    const stmt = cte.stmt?.ast || cte.stmt;
+    if (name && stmt?.type === 'select') scope.set(name.toLowerCase(), selectOutputs(stmt, scope));
+  });
+
+  // FROM item alias → output columns of a subquery or CTE, or null for a table
+  const items = new Map();
+  (select.from || []).forEach(item => {
+    const alias = String(item.as || item.table || '').toLowerCase();
+    if (item.expr?.ast?.type === 'select') items.set(alias, selectOutputs(item.expr.ast, scope));
+    else if (item.table && !item.db && !item.schema && scope.has(item.table.toLowerCase())) items.set(alias, scope.get(item.table.toLowerCase()));
+    else if (item.table) items.set(alias, null);
+  });
+
+  const resolveReference = (ref) => {
+    const column = String(columnName(ref)).toLowerCase();
+    const table = tableAlias(ref);
+    const targets = table ? [items.get(table) ?? null] : [...items.values()];
+    if (targets.length === 0) targets.push(null);
+    const resolved = { sources: [], keys: [], derived: false };
+    targets.forEach(outputs => {
+      if (outputs === null) {
+        mergeOutput(resolved, { sources: [column], keys: [], derived: false });
+      } else {
+        outputs.filter(output => output.name.toLowerCase() === column || output.name === '*').forEach(output => mergeOutput(resolved, output));
+      }
+    });
+    return resolved;
+  };
+
+  const outputs = [];
+  let hasStar = false;
+  (select.columns || []).forEach(({ expr, as }) => {
+    if (expr.type === 'column_ref' && columnName(expr) === '*') {
+      const table = tableAlias(expr);
+      const targets = table ? [items.get(table) ?? null] : [...items.values()];
+      targets.forEach(target => {
+        if (target) outputs.push(...target.map(output => ({ ...output })));
+        else hasStar = true;
+      });
+      return;
+    }
+    const { refs, subqueries, keys } = collectReferences(expr);
+    const output = { name: as || defaultName(expr), sources: [], keys, derived: false };
+    refs.forEach(ref => mergeOutput(output, resolveReference(ref)));
+    subqueries.filter(ast => ast.type === 'select').forEach(ast =>
+      selectOutputs(ast, scope).forEach(inner => mergeOutput(output, { ...inner, derived: true })));
+    const plainColumn = expr.type === 'column_ref' || (expr.type === 'cast' && expr.expr?.type === 'column_ref');
+    output.derived = output.derived || !plainColumn;
+    outputs.push(output);
+  });
+
+  // UNION/INTERSECT/EXCEPT: later selects fill the same columns by position
+  if (select._next?.type === 'select') {
+    const next = selectOutputs({ ...select._next, with: undefined }, scope);
+    const nextHasStar = (select._next.columns || []).some(({ expr }) => expr.type === 'column_ref' && columnName(expr) === '*');
+    if (!hasStar && !nextHasStar && next.length === outputs.length) {
+      next.forEach((output, i) => mergeOutput(outputs[i], output));
+    } else {
+      const rest = { name: '*', sources: [], keys: [], derived: true };
+      next.forEach(output => mergeOutput(rest, { ...output, derived: true }));
+      outputs.push(rest);
+    }
+  }
+  return outputs.filter(output => output.sources.length > 0);
+};
+
+/**
+ * Maps the result columns of a query to the table columns they are read from, so masking and
+ * PII detection follow `SELECT phone AS contact` and columns computed from PII.
+ * Aliases, CTEs, subqueries and set operations are followed.
+ * @param {string} sql - A query that passed validateSql
+ * @returns {Array<{ name: string, sources: string[], keys: string[], derived: boolean }>}
+ *   `sources` are lower-case column names, `keys` JSON keys read with ->, ->>, #> or #>>,
+ *   `derived` is false when the column is a source column under another name
+ */
+export const resolveOutputColumns = (sql) => {
+  let ast;
+  try {
+    ast = parser.astify(normalizeSql(sql), PARSER_OPTIONS);
+  } catch {
+    return [];
+  }
+  const statement = Array.isArray(ast) ? ast[0] : ast;
+  return statement?.type === 'select' ? selectOutputs(statement, new Map()) : [];
+};
+
+/**
+ * Validates a generated query.
+ * @param {string} sql - Raw SQL (markdown fences and trailing semicolons are tolerated)
+ * @param {object} options - { deniedFunctions: string[] } extra function names to reject,
+ *   { accessPolicy, schema } role policy to enforce and the full schema used to expand `*`
+ * @returns {{ valid: boolean, sql: string, reasons: Array<{code, message, detail?}>,
+ *             tables: Array<{schema, table}>, columns: Array<{table, column}>, rowReferences: string[] }}
+ */
+export const validateSql = (sql, { deniedFunctions = [], accessPolicy = null, schema = {} } = {}) => {
+  const cleaned = normalizeSql(sql);
+  const result = { valid: false, sql: cleaned, reasons: [], tables: [], columns: [], rowReferences: [] };
+
+  if (!cleaned) {
+    result.reasons.push(reason('EMPTY_QUERY', 'The generated query is empty.'));
+    return result;
+  }
+
+  let ast;
+  try {
+    ast = parser.astify(cleaned, PARSER_OPTIONS);
+  } catch (error) {
+    result.reasons.push(reason('PARSE_ERROR', 'The query could not be parsed as a single PostgreSQL SELECT statement.', error.message));
+    return result;
+  }
+
+  const statements = Array.isArray(ast) ? ast : [ast];
+  if (statements.length !== 1) {
+    result.reasons.push(reason('MULTIPLE_STATEMENTS', `Only one statement is allowed, found ${statements.length}.`));
+  }
+
+  statements.forEach(statement => {
+    if (statement.type !== 'select') {
+      result.reasons.push(reason('NOT_SELECT', `Only SELECT/WITH queries are allowed, found ${String(statement.type).toUpperCase()}.`));
+    }
+  });
+
+  const denied = new Set(deniedFunctions.map(name => name.toLowerCase()));
+  const seen = new Set();
+  walk(statements, node => {
+    if (typeof node.type === 'string' && WRITE_STATEMENT_TYPES.has(node.type.toLowerCase()) && !statements.includes(node)) {
+      const key = `write:${node.type}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.reasons.push(reason('WRITE_OPERATION', `Nested ${node.type.toUpperCase()} statements are not allowed.`));
+      }
+    }
+
+    if (node.into?.position) {
+      if (!seen.has('into')) {
+        seen.add('into');
+        result.reasons.push(reason('SELECT_INTO', 'SELECT ... INTO creates a table and is not allowed.'));
+      }
+    }
+
+    if (node.type === 'function' || node.type === 'aggr_func') {
+      const fullName = functionName(node).toLowerCase();
+      const baseName = fullName.split('.').pop();
+      if (DENIED_FUNCTION_PATTERNS.some(pattern => pattern.test(baseName)) || denied.has(baseName) || denied.has(fullName)) {
+        if (!seen.has(`fn:${fullName}`)) {
+          seen.add(`fn:${fullName}`);
+          result.reasons.push(reason('DANGEROUS_FUNCTION', `Function ${fullName}() is not allowed.`, fullName));
+        }
+      }
+    }
+  });
+
+  if (result.reasons.length === 0) {
+    // Referenced tables/columns ("type::schema::table", "type::table::column"), minus CTE names
+    const ctes = cteNames(statements);
+    result.tables = parser.tableList(cleaned, PARSER_OPTIONS)
+      .map(entry => entry.split('::'))
+      .filter(([, schema, table]) => !(schema === 'null' && ctes.has(table.toLowerCase())))
+      .map(([, schema, table]) => ({ schema: schema === 'null' ? null : schema, table }));
+    result.columns = parser.columnList(cleaned, PARSER_OPTIONS)
+      .map(entry => entry.split('::'))
+      .map(([, table, column]) => ({ table: table === 'null' ? null : table, column }));
+
+    const items = fromItems(statements);
+    result.rowReferences = [...new Set(result.columns
+      .filter(({ table, column }) => !table && items.has(column.toLowerCase()))
+      .map(({ column }) => items.get(column.toLowerCase())))];
+
+    result.reasons.push(...findAccessViolations(result, accessPolicy, schema));
+  }
+
+  result.valid = result.reasons.length === 0;
+  return result;
+};
+
+/**
+ * Validates a query and throws when it is rejected.
+ * The thrown error carries `code: 'SQL_REJECTED'` and the structured `reasons`.
+ * @returns {object} The validateSql result for an accepted query
+ */
+export const assertSafeSql = (sql, options) => {
+  const validation = validateSql(sql, options);
+  if (!validation.valid) {
+    const error = new Error(`SQL rejected: ${validation.reasons.map(r => r.message).join(' ')}`);
+    error.code = 'SQL_REJECTED';
+    error.reasons = validation.reasons;
+    throw error;
+  }
+  return validation;
+};
@@ -0,0 +1,166 @@
+import { callAiApi } from './aiHelpers.js';
+import { generateSummaryRepairPrompt } from './aiPrompts.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Numeric fact-checking of AI summaries.
+ *
+ * Every number cited in the summary must match a value that can be derived from the
+ * full result: the row count, column statistics (see resultStats.js), percentages of
+ * the row count, a numeric value of some row, or the difference, ratio or percent change
+ * between two of those ("4 more than LA", "3 times", "50% more"). Matching respects the precision of
+ * the cited number ("about 120" matches 120.4, "1.2 million" matches 1,234,567).
+ * Numbers that also appear in the question, years and list markers are not checked.
+ */
+
+const log = createLogger('Fact Check');
+
+const DEFAULT_OPTIONS = {
+  mode: 'repair', // 'repair' | 'flag' | 'off'
+  tolerance: 0.01,
+  maxRowValues: 10000
+};
+
+// Differences and ratios are derived from the first values only: the pairs grow quadratically
+const MAX_DERIVED_BASE = 100;
+
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, bn: 1e9, billion: 1e9 };
+
+const NUMBER_PATTERN = /(?<![\w./:-])(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?![\d/:-]|\.\d)(\s*(?:%|percent\b|k\b|thousand\b|m\b|million\b|bn\b|billion\b))?/gi;
+
+/**
+ * Numbers cited in a text: { text, value, decimals, scale, percent }.
+ */
+export const extractCitedNumbers = (text) => {
+  const cited = [];
+  for (const match of String(text).matchAll(NUMBER_PATTERN)) {
+    const [full, integerPart, fraction = '', suffix = ''] = match;
+    const unit = suffix.trim().toLowerCase();
+    const value = Number(integerPart.replace(/,/g, '') + fraction);
+
+    const lineStart = text.lastIndexOf('\n', match.index) + 1;
+    const isListMarker = text.slice(lineStart, match.index).trim() === '' && /^[.)]\s/.test(text.slice(match.index + full.length, match.index + full.length + 2));
+    const isYear = !fraction && !unit && /^\d{4}$/.test(integerPart) && value >= 1900 && value <= 2100;
+    if (isListMarker || isYear) continue;
+
+    cited.push({
+      text: full.trim(),
+      value,
+      decimals: fraction ? fraction.length - 1 : 0,
+      scale: SCALES[unit] || 1,
+      percent: unit === '%' || unit === 'percent'
+    });
+  }
+  return cited;
+};
+
+/**
+ * Values a summary may cite, split into plain numbers and percentages.
+ */
+const collectFacts = (rows, stats, maxRowValues) => {
+  const values = new Set([stats.rowCount]);
+  const percents = new Set();
+  const addShare = (count) => {
+    if (stats.rowCount > 0) percents.add((count / stats.rowCount) * 100);
+  };
+
+  Object.values(stats.columns).forEach(column => {
+    [column.count, column.nulls, column.distinct, column.min, column.max, column.avg, column.sum]
+      .filter(v => typeof v === 'number')
+      .forEach(v => values.add(v));
+    addShare(column.count);
+    addShare(column.nulls);
+    (column.top || []).forEach(({ count }) => {
+      values.add(count);
+      addShare(count);
+    });
+  });
+
+  // Grouped results ("12 users in New York") cite individual cells
+  let seen = 0;
+  for (const row of Array.isArray(rows) ? rows : []) {
+    for (const cell of Object.values(row || {})) {
+      if (seen++ >= maxRowValues) break;
+      if (typeof cell === 'number' && Number.isFinite(cell)) values.add(cell);
+    }
+  }
+
+  // Shares between numeric values of the result ("NY accounts for 40% of revenue")
+  const numericSums = Object.values(stats.columns).filter(c => c.type === 'numeric' && c.sum).map(c => c.sum);
+  if (Array.isArray(rows) && rows.length <= 100) {
+    rows.forEach(row => Object.values(row || {}).forEach(cell => {
+      if (typeof cell === 'number') numericSums.forEach(sum => percents.add((cell / sum) * 100));
+    }));
+  }
+
+  // Comparisons between two values ("12 users, 4 more than LA", "twice as many", "30% fewer")
+  const base = [...values].filter(v => Number.isFinite(v)).slice(0, MAX_DERIVED_BASE);
+  base.forEach((first, i) => base.slice(i + 1).forEach(second => {
+    const [high, low] = first >= second ? [first, second] : [second, first];
+    values.add(high - low);
+    if (low > 0) {
+      values.add(high / low);
+      percents.add(((high - low) / low) * 100);
+      percents.add(((high - low) / high) * 100);
+    }
+  }));
+
+  return { values: [...values], percents: [...percents] };
+};
+
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+const matches = (cited, candidate, tolerance) => {
+  const scaled = candidate / cited.scale;
+  if (roundTo(scaled, cited.decimals) === cited.value) return true;
+  return Math.abs(scaled - cited.value) <= Math.abs(scaled) * tolerance;
+};
+
+/**
+ * Checks the numbers in a summary against the result.
+ * @returns {Array<{ text: string, message: string }>} One warning per unsupported number
+ */
+export const checkSummaryNumbers = (summary, { rows, stats, question = '', tolerance = DEFAULT_OPTIONS.tolerance, maxRowValues = DEFAULT_OPTIONS.maxRowValues }) => {
+  const { values, percents } = collectFacts(rows, stats, maxRowValues);
+  const fromQuestion = new Set(extractCitedNumbers(question).map(n => n.value));
+
+  return extractCitedNumbers(summary)
+    .filter(cited => !fromQuestion.has(cited.value))
+    .filter(cited => !(cited.percent ? percents : values).some(candidate => matches(cited, candidate, tolerance)))
+    .map(cited => ({
+      text: cited.text,
+      message: `"${cited.text}" does not match any count, total or value in the query results, or a difference or ratio between them.`
+    }));
+};
+
+/**
+ * Fact-checks an AI summary and, in 'repair' mode, asks the LLM once to correct it.
+ * @param {string} summary - AI summary
+ * @param {object} context - { rows, stats, question, language, tone, appConfig, sampler }
+ * @returns {Promise<{ summary: string, warnings: Array, repaired: boolean }>}
+ *   `warnings` describe the numbers still unsupported in the returned summary
+ */
+export const factCheckSummary = async (summary, { rows, stats, question, language, tone, appConfig = {}, sampler }) => {
+  const { mode, tolerance, maxRowValues } = { ...DEFAULT_OPTIONS, ...appConfig.summaryFactCheck };
+  if (mode === 'off' || typeof summary !== 'string') {
+    return { summary, warnings: [], repaired: false };
+  }
+
+  const warnings = checkSummaryNumbers(summary, { rows, stats, question, tolerance, maxRowValues });
+  if (warnings.length === 0 || mode !== 'repair') {
+    return { summary, warnings, repaired: false };
+  }
+
+  try {
+    const prompt = generateSummaryRepairPrompt(question, summary, warnings, stats, { language, tone });
+    const repairedSummary = await callAiApi(prompt, appConfig, { task: 'summary_repair', sampler });
+    const remaining = checkSummaryNumbers(repairedSummary, { rows, stats, question, tolerance, maxRowValues });
+    // Keep whichever version has fewer unsupported numbers
+    if (remaining.length < warnings.length) {
+      return { summary: repairedSummary, warnings: remaining, repaired: true };
+    }
+  } catch (err) {
+    log.warn('Summary repair failed', { error: err.message });
+  }
+  return { summary, warnings, repaired: false };
+};
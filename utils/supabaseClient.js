@@ -1,8 +1,13 @@
 import { createClient } from '@supabase/supabase-js';
 import { config as loadEnv } from 'dotenv';
+import { buildSchemaFromOpenApi, getSchemaNames, DEFAULT_SCHEMAS } from './schemaIntrospection.js';
+import { createLogger } from './logger.js';
 
-loadEnv();
+// quiet: dotenv's banner goes to stdout, which carries the MCP stream in stdio mode
+loadEnv({ quiet: true });
+const log = createLogger('Supabase');
 let supabaseClient = null;
+let supabaseCredentials = null;
 
 /**
  * Initialize Supabase client
@@ -17,10 +22,11 @@ export const initializeSupabaseClient = (config) => {
 
   try {
     supabaseClient = createClient(supabaseUrl, supabaseKey);
-    console.log('[Supabase Client] ✅ Supabase client initialized');
+    supabaseCredentials = { url: supabaseUrl.replace(/\/+$/, ''), key: supabaseKey };
+    log.info('Supabase client initialized');
     return supabaseClient;
   } catch (error) {
-    console.error('[Supabase Client] ❌ Failed to initialize:', error.message);
+    log.error('Failed to initialize', { error: error.message });
     throw error;
   }
 };
@@ -29,7 +35,7 @@ export const initializeSupabaseClient = (config) => {
  * Initialize and validate Supabase connection for MCP server
  */
 export const initializeSupabaseForMCP = async (config) => {
-  console.log('[Supabase] Initializing Supabase connection...');
+  log.info('Initializing Supabase connection...');
 
   // Initialize the client
   const client = initializeSupabaseClient(config);
@@ -38,43 +44,38 @@ export const initializeSupabaseForMCP = async (config) => {
   await testSupabaseConnection();
 
   // Validate schema
-  await validateSupabaseSchema();
+  await validateSupabaseSchema(config);
 
-  console.log('[Supabase] ✅ Supabase fully initialized and validated');
+  log.info('Supabase fully initialized and validated');
   return client;
 };
 
 /**
- * Validate that expected tables exist in Supabase
+ * Log the tables and views Supabase exposes, and warn about any
+ * config.expectedTables that are missing.
  */
-export const validateSupabaseSchema = async () => {
+export const validateSupabaseSchema = async (config = {}) => {
   if (!supabaseClient) {
     throw new Error('Supabase client not initialized');
   }
 
-  const expectedTables = ['users', 'products', 'orders'];
-  console.log('[Supabase] Validating database schema...');
+  log.info('Validating database schema...');
+  const schema = await getSupabaseSchema(getSchemaNames(config));
+  const tableNames = Object.keys(schema);
 
-  for (const tableName of expectedTables) {
-    try {
-      // Try to query the table to see if it exists
-      const { data, error } = await supabaseClient
-        .from(tableName)
-        .select('count', { count: 'exact', head: true });
-
-      if (error) {
-        if (error.code === 'PGRST116' || error.message.includes('does not exist')) {
-          console.warn(`[Supabase] ⚠️ Table '${tableName}' not found in database`);
-        } else {
-          console.warn(`[Supabase] ⚠️ Could not access table '${tableName}':`, error.message);
-        }
-      } else {
-        console.log(`[Supabase] ✅ Table '${tableName}' found and accessible`);
-      }
-    } catch (error) {
-      console.warn(`[Supabase] ⚠️ Error checking table '${tableName}':`, error.message);
-    }
+  if (tableNames.length === 0) {
+    log.warn('No tables or views are exposed through the Supabase API');
+  } else {
+    log.info(`Found ${tableNames.length} tables/views: ${tableNames.join(', ')}`);
   }
+
+  (config.expectedTables || []).forEach(tableName => {
+    if (!schema[tableName]) {
+      log.warn(`Table '${tableName}' not found in database`);
+    }
+  });
+
+  return tableNames;
 };
 
 /**
@@ -84,6 +85,30 @@ export const getSupabaseClient = () => {
   return supabaseClient;
 };
 
+/**
+ * Fetch the PostgREST OpenAPI description of one schema.
+ * Non-public schemas must be listed under "Exposed schemas" in the Supabase API settings.
+ */
+export const fetchSupabaseOpenApi = async (schemaName = 'public') => {
+  if (!supabaseCredentials) {
+    throw new Error('Supabase client not initialized');
+  }
+
+  const response = await fetch(`${supabaseCredentials.url}/rest/v1/`, {
+    headers: {
+      apikey: supabaseCredentials.key,
+      Authorization: `Bearer ${supabaseCredentials.key}`,
+      Accept: 'application/openapi+json',
+      'Accept-Profile': schemaName
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Supabase API returned ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+};
+
 /**
  * Test Supabase client connection
  */
@@ -93,19 +118,13 @@ export const testSupabaseConnection = async () => {
   }
 
   try {
-    // Test with a simple query
-    const { data, error } = await supabaseClient
-      .from('users')
-      .select('count', { count: 'exact', head: true });
+    // The API description only loads with a valid URL and key, whatever tables exist
+    await fetchSupabaseOpenApi('public');
 
-    if (error) {
-      throw error;
-    }
-
-    console.log('[Supabase Client] ✅ Connection test successful');
+    log.info('Connection test successful');
     return true;
   } catch (error) {
-    console.error('[Supabase Client] ❌ Connection test failed:', error.message);
+    log.error('Connection test failed', { error: error.message });
     throw error;
   }
 };
@@ -156,58 +175,29 @@ export const executeSupabaseQuery = async (tableName, options = {}) => {
 
     return data;
   } catch (error) {
-    console.error('[Supabase Client] Query failed:', error.message);
+    log.error('Query failed', { error: error.message });
     throw error;
   }
 };
 
 /**
- * Get table schema using Supabase (alternative method)
+ * Get table schema from the Supabase API description (works without RPC functions).
+ * Covers every table and view exposed in the given schemas.
  */
-export const getSupabaseSchema = async () => {
+export const getSupabaseSchema = async (schemaNames = DEFAULT_SCHEMAS) => {
   if (!supabaseClient) {
     throw new Error('Supabase client not initialized');
   }
 
-  try {
-    // This is a simplified schema - for full schema we still use direct SQL
-    const tables = ['users', 'products', 'orders'];
-    const schema = {};
-
-    for (const tableName of tables) {
-      try {
-        // Get a sample record to understand structure
-        const { data, error } = await supabaseClient
-          .from(tableName)
-          .select('*')
-          .limit(1);
-
-        if (!error && data && data.length > 0) {
-          schema[tableName] = {
-            description: `Table: ${tableName}`,
-            columns: Object.keys(data[0]).map(key => ({
-              name: key,
-              type: typeof data[0][key]
-            }))
-          };
-        } else {
-          schema[tableName] = {
-            description: `Table: ${tableName} (empty or inaccessible)`,
-            columns: []
-          };
-        }
-      } catch (tableError) {
-        console.warn(`[Supabase Client] Could not access table ${tableName}:`, tableError.message);
-        schema[tableName] = {
-          description: `Table: ${tableName} (error accessing)`,
-          columns: []
-        };
-      }
+  const schema = {};
+  for (const schemaName of schemaNames) {
+    try {
+      const spec = await fetchSupabaseOpenApi(schemaName);
+      Object.assign(schema, buildSchemaFromOpenApi(spec, schemaName));
+    } catch (error) {
+      log.warn(`Could not read schema '${schemaName}'`, { error: error.message });
     }
-
-    return schema;
-  } catch (error) {
-    console.error('[Supabase Client] Schema retrieval failed:', error.message);
-    throw error;
   }
+
+  return schema;
 };